@@ -0,0 +1,206 @@
+// Compares the pooled, typed-array TextSparks particles with the Map-of-objects storage they replaced.
+// Open benchmarks/particles.html through the same local server used for index.html.
+import { TextSparks } from '../textSparks.js';
+
+const FRAMES = 600; // 12 seconds at the 50 fps the animation is tuned for
+const FRAME_MS = 20;
+const WARMUP_FRAMES = 120; // Lets the particle count reach its steady state before timing
+const STACK = [{ time: 0, fadeIn: 0, texts: [
+    { text: 'C', hue: 197 },
+    { text: 'O', hue: 0 },
+    { text: 'R', hue: 197 },
+    { text: 'Y', hue: 45 }
+] }];
+
+const color = (hsl, o) => {
+    return `hsla(${hsl.h | 0}, ${hsl.s}%, ${hsl.l}%, ${o})`;
+};
+
+// The previous storage: one object literal per spark, kept in a Map keyed by itself, with the
+// per-frame behaviour swapped in through `particle.c`. Kept here only as the benchmark baseline.
+class LegacyParticles
+{
+    constructor(sparks) {
+        this.sparks      = sparks;
+        this.particleMap = new Map();
+    }
+
+    get count() {
+        return this.particleMap.size;
+    }
+
+    createNewParticle() {
+        const sparks = this.sparks;
+        for (let i = 0; i < sparks.particlesPerFrame; i++) {
+            const mainIndex = Math.random() * sparks.mask.length | 0;
+            const subMask   = sparks.mask[mainIndex];
+            if (!subMask || subMask.s.length === 0) continue;
+
+            const maskElement = subMask.s[Math.random() * subMask.s.length | 0];
+            const particle = {
+                x   : maskElement.x,
+                y   : maskElement.y,
+                li  : mainIndex,
+                hsl : subMask.hsl,
+                c   : this.prepareParticle
+            };
+            this.particleMap.set(particle, particle);
+        }
+    }
+
+    prepareParticle(particle) {
+        const sparks = this.sparks;
+        const r1 = Math.random();
+        const r2 = Math.random();
+        const r3 = Math.random();
+
+        particle.x += (-0.5 + r1) / (sparks.width * 0.3);
+        particle.y += (-0.5 + r2) / (sparks.height * 0.3);
+        particle.si = 1 + Math.random() * 2 | 0;
+        particle.s  = 0.003 + sparks.randFromList(r1, r2) / 15;
+        particle.l  = 0;
+
+        const rad = r3 * Math.PI * 2;
+        particle.mx = Math.cos(rad) * (particle.s / (r1 < 0.05 ? 20 : 800));
+        particle.my = Math.sin(rad) * (particle.s / (r1 < 0.05 ? 20 : 800));
+
+        particle.c = this.drawParticle;
+    }
+
+    drawParticle(particle) {
+        const sparks = this.sparks;
+        if (particle.l >= 1) {
+            particle.c = null;
+            return;
+        }
+
+        particle.l += particle.s;
+        particle.x += particle.mx;
+        particle.y += particle.my;
+
+        if (particle.x * sparks.width < 0 || particle.x * sparks.width > sparks.width || particle.y * sparks.height < 0 || particle.y * sparks.height > sparks.height) {
+            particle.c = null;
+            return;
+        }
+
+        sparks.engine.fillStyle = color(particle.hsl, sparks.letters[particle.li].opa * Math.sin(particle.l * Math.PI));
+        sparks.engine.fillRect(particle.x * sparks.width, particle.y * sparks.height, particle.si, particle.si);
+    }
+
+    renderParticles() {
+        this.particleMap.forEach((particle) => {
+            if (particle.c) {
+                particle.c.call(this, particle);
+            }
+            if (!particle.c) {
+                this.particleMap.delete(particle);
+            }
+        });
+    }
+}
+
+// Adapts the pooled storage to the same emit/render interface
+class PooledParticles
+{
+    constructor(sparks) {
+        this.sparks = sparks;
+    }
+
+    get count() {
+        return this.sparks.particles.count;
+    }
+
+    createNewParticle() {
+        this.sparks.createNewParticle(FRAME_MS);
+    }
+
+    renderParticles() {
+        this.sparks.renderParticles(FRAME_MS);
+    }
+}
+
+function createSparks(particlesPerFrame, maxParticles) {
+    const canvas = document.createElement('canvas');
+    const sparks = new TextSparks({ canvas, stack: STACK, particlesPerFrame, maxParticles, fontTimeout: 0 });
+    sparks.nextMask(); // Show the mask at once instead of running the animation loop
+    if (!sparks.mask) { // Its fonts are still loading, the mask would only arrive on a later frame
+        throw new Error('The text mask is not built yet, run the benchmark after document.fonts.ready');
+    }
+    return sparks;
+}
+
+const usedHeap = () => {
+    return performance.memory ? performance.memory.usedJSHeapSize : NaN; // Chromium only
+};
+
+function runFrames(storage, frames) {
+    const frameTimes = new Float64Array(frames);
+    const heapBefore = usedHeap();
+
+    for (let i = 0; i < frames; i++) {
+        const start = performance.now();
+        storage.createNewParticle();
+        storage.sparks.clear();
+        storage.renderParticles();
+        frameTimes[i] = performance.now() - start;
+    }
+
+    const sorted = Array.from(frameTimes).sort((a, b) => a - b);
+    return {
+        mean      : frameTimes.reduce((sum, time) => sum + time, 0) / frames,
+        p95       : sorted[Math.floor(frames * 0.95)],
+        max       : sorted[frames - 1],
+        heapDelta : (usedHeap() - heapBefore) / 1024 // KB; garbage collection can make this negative
+    };
+}
+
+// Runs the legacy and the pooled storage over the same mask and returns one row each.
+// Call it once the page's fonts have loaded (document.fonts.ready), otherwise there is no mask yet.
+// options: { frames, particlesPerFrame, maxParticles }
+export function benchmarkParticles(options = {}) {
+    const frames            = options.frames !== undefined ? options.frames : FRAMES;
+    const particlesPerFrame = options.particlesPerFrame !== undefined ? options.particlesPerFrame : 50;
+    const maxParticles      = options.maxParticles !== undefined ? options.maxParticles : 4000;
+
+    return [
+        ['legacy Map', sparks => new LegacyParticles(sparks)],
+        ['typed pool', sparks => new PooledParticles(sparks)]
+    ].map(([name, createStorage]) => {
+        const storage = createStorage(createSparks(particlesPerFrame, maxParticles));
+        runFrames(storage, WARMUP_FRAMES);
+        const result = runFrames(storage, frames);
+
+        return {
+            storage : name,
+            particlesPerFrame,
+            live    : storage.count,
+            ...result
+        };
+    });
+}
+
+async function run() {
+    if (document.fonts) await document.fonts.ready; // TextSparks builds no mask while its fonts are pending
+
+    const output = document.querySelector('#benchmark-output');
+    const rows = [
+        ...benchmarkParticles({ particlesPerFrame: 50 }),
+        ...benchmarkParticles({ particlesPerFrame: 200, maxParticles: 16000 })
+    ];
+
+    const format = (value) => typeof value === 'number' ? value.toFixed(2) : value;
+    const header = ['storage', 'particlesPerFrame', 'live', 'mean', 'p95', 'max', 'heapDelta'];
+    output.textContent = [
+        header.join('\t'),
+        ...rows.map(row => header.map(key => format(row[key])).join('\t'))
+    ].join('\n') + '\n\nFrame times in ms for emitting, updating and drawing the sparks. heapDelta in KB is the only allocation\n' +
+        'measure, taken the same way for both storages; it needs Chromium (performance.memory) and shows NaN elsewhere.';
+    console.table(rows);
+}
+
+if (typeof document !== 'undefined' && document.querySelector('#benchmark-output')) {
+    run().catch((error) => {
+        console.error('Particle benchmark failed:', error);
+        document.querySelector('#benchmark-output').textContent = 'Benchmark failed: ' + error.message;
+    });
+}
@@ -0,0 +1,116 @@
+// Compares the brute-force three.js raycast with the BVH-accelerated one on the bundled GLBs.
+// Open benchmarks/raycast.html through the same local server used for index.html.
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { buildRaycastAcceleration, disposeRaycastAcceleration } from '../raycastAcceleration.js';
+
+const MODEL_URLS = [
+    '../HoodedCory_NewStart_NewHood_DecimatedCreasedHood-1.glb',
+    '../HoodedCory_NewHood_Darker.DecimatedFace.glb',
+    '../cube-beveled-silver.glb'
+];
+const RAY_COUNT = 2000; // Roughly 4 lasers x 3 bounces x 160 frames
+const ORIGIN_DISTANCE_FACTOR = 3; // Ray origins sit on a sphere this many bounding radii from the model center
+
+// Builds the same kind of rays the lasers cast: from a sphere around the model towards its vertices
+function createRays(model, count) {
+    const box = new THREE.Box3().setFromObject(model);
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const vertices = [];
+
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        const positions = child.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            vertices.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld));
+        }
+    });
+
+    const rays = [];
+    for (let i = 0; i < count; i++) {
+        const origin = new THREE.Vector3().randomDirection().multiplyScalar(sphere.radius * ORIGIN_DISTANCE_FACTOR).add(sphere.center);
+        const target = vertices[Math.floor(Math.random() * vertices.length)];
+        rays.push(new THREE.Ray(origin, target.clone().sub(origin).normalize()));
+    }
+    return rays;
+}
+
+// Casts every ray and returns the elapsed time plus the nearest hit distance per ray
+function castRays(model, rays) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.firstHitOnly = true;
+    const distances = new Float32Array(rays.length);
+
+    const start = performance.now();
+    rays.forEach((ray, index) => {
+        raycaster.ray.copy(ray);
+        const intersects = raycaster.intersectObject(model, true);
+        distances[index] = intersects.length > 0 ? intersects[0].distance : -1;
+    });
+    return { time: performance.now() - start, distances };
+}
+
+export function benchmarkModel(model, rayCount = RAY_COUNT) {
+    model.updateMatrixWorld(true);
+
+    let triangleCount = 0;
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        const geometry = child.geometry;
+        triangleCount += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+    });
+
+    const rays = createRays(model, rayCount);
+    const bruteForce = castRays(model, rays);
+
+    const buildStart = performance.now();
+    buildRaycastAcceleration(model);
+    const buildTime = performance.now() - buildStart;
+
+    const accelerated = castRays(model, rays);
+    disposeRaycastAcceleration(model);
+
+    // Both paths must agree on the nearest hit, otherwise the speedup is meaningless
+    let mismatches = 0;
+    for (let i = 0; i < rays.length; i++) {
+        if (Math.abs(bruteForce.distances[i] - accelerated.distances[i]) > 1e-4) mismatches++;
+    }
+
+    return {
+        triangles   : triangleCount,
+        rays        : rays.length,
+        bruteForce  : bruteForce.time,
+        build       : buildTime,
+        accelerated : accelerated.time,
+        speedup     : bruteForce.time / Math.max(accelerated.time, 1e-3),
+        mismatches
+    };
+}
+
+async function run() {
+    const output = document.querySelector('#benchmark-output');
+    const loader = new GLTFLoader();
+    const rows = [];
+
+    for (const url of MODEL_URLS) {
+        output.textContent = 'Benchmarking ' + url + '...';
+        const gltf = await loader.loadAsync(url);
+        const result = benchmarkModel(gltf.scene);
+        rows.push({ model: url.replace('../', ''), ...result });
+    }
+
+    const format = (value) => typeof value === 'number' ? value.toFixed(2) : value;
+    const header = ['model', 'triangles', 'rays', 'bruteForce', 'build', 'accelerated', 'speedup', 'mismatches'];
+    output.textContent = [
+        header.join('\t'),
+        ...rows.map(row => header.map(key => format(row[key])).join('\t'))
+    ].join('\n') + '\n\nTimes in ms. "build" is the one-off BVH construction after loading.';
+    console.table(rows);
+}
+
+if (typeof document !== 'undefined' && document.querySelector('#benchmark-output')) {
+    run().catch((error) => {
+        console.error('Raycast benchmark failed:', error);
+        document.querySelector('#benchmark-output').textContent = 'Benchmark failed: ' + error.message;
+    });
+}
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+import { EventEmitter } from './eventEmitter.js';
+
+// Watches a camera (anything with a `position` Vector3 and a `quaternion`) and reports how it moves.
+// Call update(deltaTime) once per frame. Events:
+//   'moved' { deltaPosition, deltaRotation } - the camera moved more than a threshold since last frame
+//   'still' { duration }                     - the camera stayed below the thresholds for stillnessLimit seconds
+//   'speed' { speed, deltaPosition, deltaRotation } - every frame; speed is (position + rotation change) per second
+export class CameraMotionTracker extends EventEmitter
+{
+    constructor(camera, options = {}) {
+        super();
+        this.camera            = camera;
+        this.rotationThreshold = options.rotationThreshold !== undefined ? options.rotationThreshold : THREE.MathUtils.degToRad(15); // Radians
+        this.positionThreshold = options.positionThreshold !== undefined ? options.positionThreshold : 0.1; // World units
+        this.stillnessLimit    = options.stillnessLimit !== undefined ? options.stillnessLimit : 3.0; // Seconds
+
+        this.previousPosition   = new THREE.Vector3();
+        this.previousQuaternion = new THREE.Quaternion();
+        this.hasPreviousPose    = false; // The first update only records the pose
+        this.stillnessTimer     = 0; // Accumulates time the camera has been still
+        this.speed              = 0;
+    }
+
+    // Forget the previous pose, e.g. after the camera was moved programmatically
+    reset() {
+        this.hasPreviousPose = false;
+        this.stillnessTimer  = 0;
+        this.speed           = 0;
+    }
+
+    update(deltaTime) {
+        let deltaPosition = 0;
+        let deltaRotation = 0;
+
+        if (this.hasPreviousPose) {
+            deltaRotation = this.previousQuaternion.angleTo(this.camera.quaternion);
+            deltaPosition = this.previousPosition.distanceTo(this.camera.position);
+
+            if (deltaRotation > this.rotationThreshold || deltaPosition > this.positionThreshold) {
+                this.stillnessTimer = 0;
+                this.emit('moved', { deltaPosition, deltaRotation });
+            } else {
+                this.stillnessTimer += deltaTime;
+                if (this.stillnessTimer >= this.stillnessLimit) {
+                    const duration = this.stillnessTimer;
+                    this.stillnessTimer = 0;
+                    this.emit('still', { duration });
+                }
+            }
+        }
+
+        this.speed = deltaTime > 0 ? (deltaPosition + deltaRotation) / deltaTime : 0;
+        this.emit('speed', { speed: this.speed, deltaPosition, deltaRotation });
+
+        this.previousPosition.copy(this.camera.position);
+        this.previousQuaternion.copy(this.camera.quaternion);
+        this.hasPreviousPose = true;
+
+        return { speed: this.speed, deltaPosition, deltaRotation };
+    }
+}
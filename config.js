@@ -0,0 +1,242 @@
+import { LIGHTING_PRESETS } from './lightingPresets.js';
+import { EASINGS } from './easing.js';
+
+// Runtime configuration for the scene.
+// Values are merged from three layers, later ones winning:
+//   1. the defaults in CONFIG_SCHEMA
+//   2. an optional JSON file named by ?config=path/to/file.json (nested objects or dotted keys)
+//   3. URL query parameters using dotted keys, e.g. ?pulse.baseFrequency=1&lasers.count=6
+// Every value is validated against the schema; bad values are reported with console.warn and
+// replaced by the nearest valid value (clamped) or the default.
+
+export const CONFIG_SCHEMA = {
+    'model.name'                 : { type: 'string', default: 'hood', description: 'Bundled model name or GLB URL' },
+    'model.fallback'             : { type: 'string', default: 'cube', allowEmpty: true, description: 'Model loaded when model.name fails to load; empty for none' },
+
+    'lasers.count'               : { type: 'integer', default: 4, min: 0, max: 32, description: 'Number of lasers' },
+    'lasers.color'               : { type: 'color', default: 0xff0000, description: 'Default laser color' },
+    'lasers.maxLength'           : { type: 'number', default: 20, min: 0, max: 200, step: 1, description: 'Max length of a beam segment that hits nothing' },
+    'lasers.maxBounces'          : { type: 'integer', default: 3, min: 1, max: 16, description: 'Max number of bounces per beam' },
+    'lasers.sphereRadius'        : { type: 'number', default: 10, min: 0.1, max: 100, step: 0.5, description: 'Radius of the invisible sphere lasers originate from' },
+    'lasers.targeting'           : { type: 'enum', default: 'random', values: ['random', 'scan', 'cursor', 'region'], description: 'Targeting mode for every laser' },
+    'lasers.targetFilter'        : { type: 'enum', default: 'none', values: ['none', 'facing', 'visible'], description: 'Which surface points random and region targeting may pick: any, only faces turned to the camera, or also in line of sight from the laser origin' },
+    'lasers.originCone'          : { type: 'number', default: 180, min: 0, max: 180, step: 5, description: 'Half-angle (degrees) around the camera direction that laser origins are picked from; 180 is the whole sphere' },
+    'lasers.placementAttempts'   : { type: 'integer', default: 8, min: 1, max: 64, description: 'Origin/target pairs tried per laser and jump before the best one is used' },
+    'lasers.minCameraDistance'   : { type: 'number', default: 2, min: 0, max: 50, step: 0.5, description: 'Laser origins closer to the camera than this are rejected' },
+    'lasers.transitionStyle'     : { type: 'enum', default: 'tween', values: ['none', 'tween', 'fade', 'retract'], description: 'How lasers move on a jump: glide, fade out and in, or retract and fire again' },
+    'lasers.transitionDuration'  : { type: 'number', default: 0.6, min: 0, max: 10, step: 0.05, description: 'Seconds a laser jump transition takes' },
+    'lasers.transitionEasing'    : { type: 'enum', default: 'easeInOut', values: Object.keys(EASINGS), description: 'Easing of laser jump transitions' },
+
+    'camera.rotationThreshold'   : { type: 'number', default: 15, min: 0, max: 180, step: 1, description: 'Min camera rotation (degrees) that counts as significant movement' },
+    'camera.positionThreshold'   : { type: 'number', default: 0.1, min: 0, max: 10, step: 0.01, description: 'Min camera position change (world units) that counts as significant movement' },
+    'camera.stillnessLimit'      : { type: 'number', default: 3.0, min: 0.1, max: 60, step: 0.1, description: 'Seconds the camera must be still to trigger a laser jump' },
+
+    'pulse.baseFrequency'        : { type: 'number', default: 0.5, min: 0, max: 10, step: 0.05, description: 'Laser pulse frequency (Hz) while the camera is still; pulses never exceed 3 Hz (see safety.calmMode)' },
+    'pulse.frequencySensitivity' : { type: 'number', default: 5.0, min: 0, max: 20, step: 0.1, description: 'How much camera speed raises the pulse frequency' },
+    'pulse.maxCameraSpeed'       : { type: 'number', default: 10.0, min: 0, max: 100, step: 0.5, description: 'Camera speed clamp for the pulse calculation' },
+    'pulse.minBrightness'        : { type: 'number', default: 0.3, min: 0, max: 1, step: 0.05, description: 'Laser brightness at the bottom of a pulse; raised when the swing to maxBrightness exceeds the flash limits (0.7, 0.2 in calm mode)' },
+    'pulse.maxBrightness'        : { type: 'number', default: 1.0, min: 0, max: 1, step: 0.05, description: 'Laser brightness at the top of a pulse' },
+
+    'lights.ambient.intensity'     : { type: 'number', default: 0.5, min: 0, max: 10, step: 0.05 },
+    'lights.directional.intensity' : { type: 'number', default: 0.8, min: 0, max: 10, step: 0.05 },
+    'lights.spotDown.intensity'    : { type: 'number', default: 50, min: 0, max: 500, step: 1 },
+    'lights.spotDown.distance'     : { type: 'number', default: 1, min: 0, max: 20, step: 0.05 },
+    'lights.spotDown.angle'        : { type: 'number', default: 22.5, min: 0, max: 90, step: 0.5, description: 'Cone angle in degrees' },
+    'lights.spotDown.penumbra'     : { type: 'number', default: 0.5, min: 0, max: 1, step: 0.05 },
+    'lights.spotDown.decay'        : { type: 'number', default: 2, min: 0, max: 5, step: 0.1 },
+    'lights.spotFace.intensity'    : { type: 'number', default: 50, min: 0, max: 500, step: 1, description: '150 reads well, 50 is spookier' },
+    'lights.spotFace.distance'     : { type: 'number', default: 0.85, min: 0, max: 20, step: 0.05 },
+    'lights.spotFace.angle'        : { type: 'number', default: 180 / 11.5, min: 0, max: 90, step: 0.5, description: 'Cone angle in degrees' },
+    'lights.spotFace.penumbra'     : { type: 'number', default: 0.5, min: 0, max: 1, step: 0.05 },
+    'lights.spotFace.decay'        : { type: 'number', default: 0.5, min: 0, max: 5, step: 0.1 },
+    'lights.helpers'               : { type: 'boolean', default: true, description: 'Show light helpers' },
+    'lights.preset'                : { type: 'enum', default: 'none', values: ['none', ...Object.keys(LIGHTING_PRESETS)], description: "Lighting preset; 'none' uses the individual light values" },
+    'lights.transitionDuration'    : { type: 'number', default: 1.5, min: 0, max: 30, step: 0.1, description: 'Seconds a lighting preset change takes' },
+    'lights.jumpPresets'           : { type: 'string', default: '', allowEmpty: true, description: 'Comma-separated presets to cycle through on every laser jump' },
+
+    'textSparks.mode'              : { type: 'enum', default: '2d', values: ['2d', '3d'], description: "'2d' draws over the scene, '3d' renders the text as points above the model" },
+    'textSparks.particlesPerFrame' : { type: 'integer', default: 50, min: 0, max: 1000, description: 'New spark particles per frame' },
+    'textSparks.maxParticles'      : { type: 'integer', default: 4000, min: 0, max: 50000, description: 'Max spark particles alive at once' },
+    'textSparks.height'            : { type: 'integer', default: 225, min: 10, max: 2000, description: 'Height of the text canvas in CSS pixels' },
+    'textSparks.heightRatio'       : { type: 'number', default: 0, min: 0, max: 1, step: 0.05, description: 'Text canvas height as a fraction of the viewport height; 0 uses textSparks.height' },
+    'textSparks.interaction'       : { type: 'boolean', default: false, description: 'Pointer scatters the text sparks, clicks emit bursts' },
+    'textSparks.pointerRadius'     : { type: 'number', default: 60, min: 0, max: 500, step: 5, description: 'Radius in pixels around the pointer that pushes sparks away' },
+    'textSparks.pointerStrength'   : { type: 'number', default: 8, min: 0, max: 50, step: 0.5, description: 'Push speed at the pointer, in radii per second' },
+    'textSparks.returnSpeed'       : { type: 'number', default: 4, min: 0.1, max: 30, step: 0.1, description: 'How fast pushed sparks spring back to the text' },
+
+    'events.burstOnJump'           : { type: 'boolean', default: true, description: 'Text sparks burst when the lasers jump' },
+    'events.burstSize'             : { type: 'integer', default: 150, min: 0, max: 2000, description: 'Sparks in a jump burst' },
+    'events.jumpInterval'          : { type: 'number', default: 1, min: 0, max: 30, step: 0.1, description: 'Minimum seconds between jump reactions (spark bursts, lighting preset steps); fast orbiting makes the lasers jump every frame' },
+    'events.retargetOnMask'        : { type: 'boolean', default: true, description: 'Lasers retarget whenever a new text message appears' },
+
+    'safety.calmMode'              : { type: 'boolean', default: false, description: 'Slower, softer pulsing and flicker (or add ?calm to the URL); always on when the system prefers reduced motion' },
+
+    'ui.tweakPanel'                : { type: 'boolean', default: false, description: 'Show the on-screen tweak panel (or add ?tweak to the URL)' }
+};
+
+// Query parameters that are not config keys but are understood elsewhere
+const RESERVED_PARAMS = ['config', 'tweak', 'model', 'seed', 'calm'];
+
+function parseColor(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+    const hex = value.trim().replace(/^#|^0x/i, '');
+    return /^[0-9a-f]{6}$/i.test(hex) ? parseInt(hex, 16) : NaN;
+}
+
+// Coerces and checks one value. Returns { value, warning }.
+function validateValue(key, rawValue) {
+    const rule = CONFIG_SCHEMA[key];
+    let value = rawValue;
+
+    switch (rule.type) {
+        case 'number':
+        case 'integer': {
+            value = typeof rawValue === 'string' ? Number(rawValue.trim()) : rawValue;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return { value: rule.default, warning: "'" + rawValue + "' is not a number. Using default " + rule.default + "." };
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                value = Math.round(value);
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return { value: rule.min, warning: value + " is below the minimum " + rule.min + ". Clamped." };
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return { value: rule.max, warning: value + " is above the maximum " + rule.max + ". Clamped." };
+            }
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof rawValue === 'boolean') return { value: rawValue };
+            if (rawValue === 'true' || rawValue === '1' || rawValue === '') return { value: true };
+            if (rawValue === 'false' || rawValue === '0') return { value: false };
+            return { value: rule.default, warning: "'" + rawValue + "' is not a boolean. Using default " + rule.default + "." };
+        }
+        case 'color': {
+            value = parseColor(rawValue);
+            if (Number.isNaN(value) || value < 0 || value > 0xffffff) {
+                return { value: rule.default, warning: "'" + rawValue + "' is not a color (use #rrggbb or 0xrrggbb). Using default." };
+            }
+            return { value };
+        }
+        case 'enum': {
+            if (!rule.values.includes(rawValue)) {
+                return { value: rule.default, warning: "'" + rawValue + "' is not one of " + rule.values.join(', ') + ". Using default '" + rule.default + "'." };
+            }
+            return { value };
+        }
+        default: {
+            if (typeof rawValue !== 'string' || (rawValue.length === 0 && !rule.allowEmpty)) {
+                return { value: rule.default, warning: "Expected a non-empty string. Using default '" + rule.default + "'." };
+            }
+            return { value };
+        }
+    }
+}
+
+// Flattens { pulse: { baseFrequency: 1 } } into { 'pulse.baseFrequency': 1 }. Dotted keys pass through.
+function flatten(object, prefix = '', result = {}) {
+    Object.entries(object).forEach(([key, value]) => {
+        const path = prefix ? prefix + '.' + key : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !CONFIG_SCHEMA[path]) {
+            flatten(value, path, result);
+        } else {
+            result[path] = value;
+        }
+    });
+    return result;
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (!node[key]) node[key] = {};
+        return node[key];
+    }, object);
+    parent[last] = value;
+}
+
+export class RuntimeConfig
+{
+    constructor() {
+        this.values    = {}; // Nested, e.g. config.values.pulse.baseFrequency
+        this.flat      = {}; // Dotted keys, e.g. config.flat['pulse.baseFrequency']
+        this.listeners = [];
+
+        Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+            this.flat[key] = rule.default;
+            setPath(this.values, key, rule.default);
+        });
+    }
+
+    get(key) {
+        return this.flat[key];
+    }
+
+    // Validates and stores a value, then notifies listeners. Returns the value actually stored.
+    set(key, rawValue, source = 'runtime') {
+        if (!CONFIG_SCHEMA[key]) {
+            console.warn("Config: Unknown key '" + key + "' from " + source + ". Ignored.");
+            return undefined;
+        }
+
+        const { value, warning } = validateValue(key, rawValue);
+        if (warning) {
+            console.warn("Config: " + key + " (from " + source + "): " + warning);
+        }
+        if (this.flat[key] === value) return value;
+
+        this.flat[key] = value;
+        setPath(this.values, key, value);
+        this.listeners.forEach(listener => listener(key, value));
+        return value;
+    }
+
+    merge(object, source) {
+        Object.entries(flatten(object)).forEach(([key, value]) => this.set(key, value, source));
+    }
+
+    // listener(key, value) is called after every change
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
+
+export async function loadConfig(search = window.location.search) {
+    const config = new RuntimeConfig();
+    const params = new URLSearchParams(search);
+
+    const configUrl = params.get('config');
+    if (configUrl) {
+        try {
+            const response = await fetch(configUrl);
+            if (!response.ok) {
+                throw new Error(response.status + ' ' + response.statusText);
+            }
+            config.merge(await response.json(), configUrl);
+        } catch (error) {
+            console.warn("Config: Could not load config file '" + configUrl + "': " + error.message + ". Using defaults and URL overrides only.");
+        }
+    }
+
+    if (params.has('model')) {
+        config.set('model.name', params.get('model'), 'URL');
+    }
+    if (params.has('tweak')) {
+        config.set('ui.tweakPanel', params.get('tweak'), 'URL');
+    }
+    if (params.has('calm')) {
+        config.set('safety.calmMode', params.get('calm'), 'URL');
+    }
+    params.forEach((value, key) => {
+        if (RESERVED_PARAMS.includes(key)) return;
+        config.set(key, value, 'URL');
+    });
+
+    return config;
+}
@@ -0,0 +1,19 @@
+// Easing functions mapping t in [0, 1] to [0, 1], shared by every animated transition
+
+export const EASINGS = {
+    linear       : t => t,
+    easeIn       : t => t * t * t,
+    easeOut      : t => 1 - Math.pow(1 - t, 3),
+    easeInOut    : t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutBack  : t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+};
+
+// Accepts an easing name or a function; unknown names fall back to linear
+export function resolveEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    if (easing && EASINGS[easing]) return EASINGS[easing];
+    if (easing) {
+        console.warn("resolveEasing: Unknown easing '" + easing + "'. Using linear.");
+    }
+    return EASINGS.linear;
+}
@@ -0,0 +1,31 @@
+// Minimal synchronous event emitter. Listeners run in subscription order.
+export class EventEmitter
+{
+    constructor() {
+        this.listeners = new Map(); // event name -> array of listeners
+    }
+
+    // Returns a function that unsubscribes the listener
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    off(eventName, listener) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(eventName, payload) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners) return;
+        listeners.slice().forEach(listener => listener(payload)); // Copy, listeners may unsubscribe while running
+    }
+}
@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { random } from './random.js';
+import { limitBrightnessRange } from './photosensitivity.js';
+
+const DEFAULT_MAX_SPARKS = 600; // Capacity of the spark ring buffer
+const DEFAULT_SPARKS_PER_HIT = 100; // Sparks emitted per hit per second at full pulse intensity, 2 per frame at 50 fps
+const DEFAULT_SPARK_LIFETIME = 0.35; // Seconds
+const DEFAULT_SPARK_SPEED = 1.2; // World units per second
+const DEFAULT_SPARK_SPREAD = 0.35; // How far sparks scatter around the reflected direction
+const DEFAULT_SPARK_SIZE = 0.02; // World units
+const DEFAULT_GLOW_SIZE = 0.12; // World units
+const DEFAULT_MAX_GLOWS = 32; // Max contact glows drawn at once
+const SPARK_GRAVITY = -1.5; // Pulls sparks down a little so they arc
+const SPARK_CORE_COLOR = new THREE.Color(0xffffff);
+
+// Soft radial gradient used by every glow sprite
+export function createGlowTexture() {
+    const size = 64;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.25, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+// Sparks and glows at the points where lasers hit the model.
+// Feed it LaserSystem.hits once per frame through update().
+export class ImpactEffects
+{
+    constructor(scene, options = {}) {
+        this.scene         = scene;
+        this.maxSparks     = options.maxSparks || DEFAULT_MAX_SPARKS;
+        this.sparksPerHit  = options.sparksPerHit !== undefined ? options.sparksPerHit : DEFAULT_SPARKS_PER_HIT;
+        this.sparkLifetime = options.sparkLifetime || DEFAULT_SPARK_LIFETIME;
+        this.sparkSpeed    = options.sparkSpeed !== undefined ? options.sparkSpeed : DEFAULT_SPARK_SPEED;
+        this.sparkSpread   = options.sparkSpread !== undefined ? options.sparkSpread : DEFAULT_SPARK_SPREAD;
+        this.glowSize      = options.glowSize !== undefined ? options.glowSize : DEFAULT_GLOW_SIZE;
+        this.maxGlows      = options.maxGlows || DEFAULT_MAX_GLOWS;
+        this.random        = options.random || random; // () => [0, 1), see random.js
+
+        // Spark state lives in flat typed arrays, recycled as a ring buffer
+        this.sparkPositions  = new Float32Array(this.maxSparks * 3);
+        this.sparkColors     = new Float32Array(this.maxSparks * 3);
+        this.sparkVelocities = new Float32Array(this.maxSparks * 3);
+        this.sparkBaseColors = new Float32Array(this.maxSparks * 3);
+        this.sparkLife       = new Float32Array(this.maxSparks); // Remaining life in seconds, 0 = free
+        this.nextSpark       = 0;
+        this.emitCarry       = 0; // Fractional sparks carried over between frames
+
+        const sparkGeometry = new THREE.BufferGeometry();
+        sparkGeometry.setAttribute('position', new THREE.BufferAttribute(this.sparkPositions, 3).setUsage(THREE.DynamicDrawUsage));
+        sparkGeometry.setAttribute('color', new THREE.BufferAttribute(this.sparkColors, 3).setUsage(THREE.DynamicDrawUsage));
+
+        // Additive blending, so fading a spark's color to black fades it out
+        this.sparkMaterial = new THREE.PointsMaterial({
+            size         : options.sparkSize || DEFAULT_SPARK_SIZE,
+            vertexColors : true,
+            blending     : THREE.AdditiveBlending,
+            transparent  : true,
+            depthWrite   : false
+        });
+        this.sparks = new THREE.Points(sparkGeometry, this.sparkMaterial);
+        this.sparks.frustumCulled = false; // Positions change every frame, the bounding sphere would be stale
+        this.scene.add(this.sparks);
+
+        this.glowTexture = options.glowTexture || createGlowTexture(); // Passing one in skips the canvas, e.g. in Node
+        this.glows = [];
+        for (let i = 0; i < this.maxGlows; i++) {
+            const glow = new THREE.Sprite(new THREE.SpriteMaterial({
+                map         : this.glowTexture,
+                blending    : THREE.AdditiveBlending,
+                transparent : true,
+                depthWrite  : false
+            }));
+            glow.visible = false;
+            this.glows.push(glow);
+            this.scene.add(glow);
+        }
+
+        this.tempColor     = new THREE.Color();
+        this.tempDirection = new THREE.Vector3();
+    }
+
+    emitSpark(hit, pulseIntensity) {
+        const index = this.nextSpark;
+        this.nextSpark = (this.nextSpark + 1) % this.maxSparks;
+
+        // Scatter around the reflected direction, but never into the surface
+        const direction = this.tempDirection.copy(hit.direction);
+        direction.x += (this.random() * 2 - 1) * this.sparkSpread;
+        direction.y += (this.random() * 2 - 1) * this.sparkSpread;
+        direction.z += (this.random() * 2 - 1) * this.sparkSpread;
+        if (direction.dot(hit.normal) < 0) {
+            direction.addScaledVector(hit.normal, -2 * direction.dot(hit.normal));
+        }
+        direction.normalize().multiplyScalar(this.sparkSpeed * (0.5 + this.random() * 0.5));
+
+        const i3 = index * 3;
+        this.sparkPositions[i3]      = hit.point.x;
+        this.sparkPositions[i3 + 1]  = hit.point.y;
+        this.sparkPositions[i3 + 2]  = hit.point.z;
+        this.sparkVelocities[i3]     = direction.x;
+        this.sparkVelocities[i3 + 1] = direction.y;
+        this.sparkVelocities[i3 + 2] = direction.z;
+
+        // White-hot core tinted towards the laser color
+        this.tempColor.setHex(hit.laser ? hit.laser.color : 0xff0000).lerp(SPARK_CORE_COLOR, 0.4).multiplyScalar(pulseIntensity);
+        this.sparkBaseColors[i3]     = this.tempColor.r;
+        this.sparkBaseColors[i3 + 1] = this.tempColor.g;
+        this.sparkBaseColors[i3 + 2] = this.tempColor.b;
+
+        this.sparkLife[index] = this.sparkLifetime * (0.6 + this.random() * 0.4);
+    }
+
+    updateSparks(deltaTime) {
+        for (let i = 0; i < this.maxSparks; i++) {
+            const i3 = i * 3;
+
+            if (this.sparkLife[i] <= 0) {
+                this.sparkColors[i3] = this.sparkColors[i3 + 1] = this.sparkColors[i3 + 2] = 0;
+                continue;
+            }
+
+            this.sparkLife[i] = Math.max(0, this.sparkLife[i] - deltaTime);
+            this.sparkVelocities[i3 + 1] += SPARK_GRAVITY * deltaTime;
+            this.sparkPositions[i3]     += this.sparkVelocities[i3] * deltaTime;
+            this.sparkPositions[i3 + 1] += this.sparkVelocities[i3 + 1] * deltaTime;
+            this.sparkPositions[i3 + 2] += this.sparkVelocities[i3 + 2] * deltaTime;
+
+            const fade = this.sparkLife[i] / this.sparkLifetime;
+            this.sparkColors[i3]     = this.sparkBaseColors[i3] * fade;
+            this.sparkColors[i3 + 1] = this.sparkBaseColors[i3 + 1] * fade;
+            this.sparkColors[i3 + 2] = this.sparkBaseColors[i3 + 2] * fade;
+        }
+
+        this.sparks.geometry.attributes.position.needsUpdate = true;
+        this.sparks.geometry.attributes.color.needsUpdate = true;
+    }
+
+    updateGlows(hits, pulseIntensity) {
+        this.glows.forEach((glow, index) => {
+            const hit = hits[index];
+            if (!hit) {
+                glow.visible = false;
+                return;
+            }
+
+            glow.visible = true;
+            glow.position.copy(hit.point).addScaledVector(hit.normal, this.glowSize * 0.1); // Lift off the surface to avoid z-fighting
+            glow.scale.setScalar(this.glowSize * (0.5 + 0.5 * pulseIntensity));
+            glow.material.color.setHex(hit.laser ? hit.laser.color : 0xff0000);
+            glow.material.opacity = pulseIntensity * hit.weight;
+        });
+    }
+
+    // hits: LaserSystem.hits, pulseIntensity: shared pulse in [0, 1], deltaTime: seconds since last frame
+    update(hits, pulseIntensity, deltaTime) {
+        // Glows and sparks follow the pulse within the brightness swing limit, see photosensitivity.js
+        const range     = limitBrightnessRange(0, 1);
+        const intensity = range.min + pulseIntensity * (range.max - range.min);
+
+        // sparksPerHit is a rate per second, so the spark count does not depend on the display's frame rate
+        const emitCount = hits.length * this.sparksPerHit * intensity * deltaTime + this.emitCarry;
+        const wholeSparks = Math.floor(emitCount);
+        this.emitCarry = emitCount - wholeSparks;
+
+        for (let i = 0; i < wholeSparks && hits.length > 0; i++) {
+            const hit = hits[this.random() * hits.length | 0];
+            this.emitSpark(hit, intensity * hit.weight);
+        }
+
+        this.updateSparks(deltaTime);
+        this.updateGlows(hits, intensity);
+    }
+
+    dispose() {
+        this.scene.remove(this.sparks);
+        this.sparks.geometry.dispose();
+        this.sparkMaterial.dispose();
+
+        this.glows.forEach((glow) => {
+            this.scene.remove(glow);
+            glow.material.dispose();
+        });
+        this.glowTexture.dispose();
+    }
+}
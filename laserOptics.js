@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+
+// Optical behaviors a surface can have when a laser hits it
+export const SURFACE_MIRROR  = 'mirror';  // Beam reflects off the surface
+export const SURFACE_DIFFUSE = 'diffuse'; // Beam stops on the surface
+export const SURFACE_REFRACT = 'refract'; // Beam is transmitted (and optionally partly reflected)
+
+const DEFAULT_IOR = 1.5; // Typical glass, used when a refractive material does not define one
+
+// Resolves the material that was hit, taking multi-material meshes into account
+export function getIntersectionMaterial(intersection) {
+    const material = intersection.object.material;
+    if (Array.isArray(material)) {
+        const materialIndex = intersection.face ? intersection.face.materialIndex : 0;
+        return material[materialIndex] || material[0];
+    }
+    return material;
+}
+
+// Decides how a laser interacts with a material.
+// An explicit `laserSurface` in material.userData wins (glTF "extras" end up there),
+// otherwise transmissive glTF materials (KHR_materials_transmission) refract using their IOR
+// (KHR_materials_ior) and everything else acts as a mirror.
+export function getSurfaceBehavior(material) {
+    if (!material) {
+        return { type: SURFACE_MIRROR };
+    }
+
+    const userData = material.userData || {};
+    const ior = userData.laserIor || material.ior || DEFAULT_IOR;
+
+    if (userData.laserSurface === SURFACE_MIRROR || userData.laserSurface === SURFACE_DIFFUSE) {
+        return { type: userData.laserSurface };
+    }
+    if (userData.laserSurface === SURFACE_REFRACT || material.transmission > 0) {
+        return { type: SURFACE_REFRACT, ior };
+    }
+    if (userData.laserSurface) {
+        console.warn("getSurfaceBehavior: Unknown laserSurface '" + userData.laserSurface + "' on material '" + material.name + "'. Using mirror.");
+    }
+    return { type: SURFACE_MIRROR };
+}
+
+// Snell's law. `normal` must face against `direction`, `eta` is n1 / n2.
+// Returns null on total internal reflection.
+export function refractDirection(direction, normal, eta, target = new THREE.Vector3()) {
+    const cosI = -normal.dot(direction);
+    const sinT2 = eta * eta * (1 - cosI * cosI);
+    if (sinT2 > 1) {
+        return null;
+    }
+    const cosT = Math.sqrt(1 - sinT2);
+    return target.copy(direction).multiplyScalar(eta).addScaledVector(normal, eta * cosI - cosT).normalize();
+}
+
+// Schlick's approximation of the share of light reflected at a dielectric boundary
+export function fresnelReflectance(cosI, n1, n2) {
+    const r0 = ((n1 - n2) / (n1 + n2)) ** 2;
+    return r0 + (1 - r0) * Math.pow(1 - Math.abs(cosI), 5);
+}
+
+// Refractive materials are usually single sided, which would hide their back faces from the
+// raycaster once a beam is travelling inside them. Make them double sided so beams can exit.
+export function prepareOpticalMaterials(root) {
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+            if (material && getSurfaceBehavior(material).type === SURFACE_REFRACT) {
+                material.side = THREE.DoubleSide;
+            }
+        });
+    });
+}
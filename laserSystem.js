@@ -0,0 +1,452 @@
+import * as THREE from 'three';
+import {
+    SURFACE_DIFFUSE,
+    SURFACE_REFRACT,
+    getIntersectionMaterial,
+    getSurfaceBehavior,
+    refractDirection,
+    fresnelReflectance
+} from './laserOptics.js';
+import { RandomTargeting } from './laserTargeting.js';
+import { resolveEasing } from './easing.js';
+
+const DEFAULT_LASER_COLOR = 0xff0000; // Red laser
+const DEFAULT_MAX_BOUNCES = 3; // Max number of times a laser can bounce
+const DEFAULT_MAX_LENGTH = 20; // Max length of a laser beam segment if it doesn't hit anything
+const DEFAULT_MIN_BRANCH_WEIGHT = 0.02; // Reflected/transmitted branches carrying less light than this are not drawn
+const DEFAULT_MAX_SEGMENTS = 32; // Upper bound on segments per laser, branching can otherwise grow exponentially
+const DEFAULT_PLACEMENT_ATTEMPTS = 8; // Origin/target pairs place() tries before settling for the best one
+const DEFAULT_MIN_CAMERA_DISTANCE = 2; // Origins closer to the camera than this are rejected
+const DEFAULT_TRANSITION_STYLE = 'tween'; // How lasers move on a jump: 'none', 'tween', 'fade' or 'retract'
+const DEFAULT_TRANSITION_DURATION = 0.6; // Seconds
+const DEFAULT_TRANSITION_EASING = 'easeInOut';
+const LINE_OF_SIGHT_TOLERANCE = 1e-3; // Relative distance a first hit may fall short of the target and still count as reaching it
+
+// Reusable Laser Update Function
+// Traces a beam through the scene and writes its path into a THREE.LineSegments object.
+// Every surface hit is resolved through getSurfaceBehavior: mirrors reflect, diffuse surfaces stop
+// the beam and refractive surfaces transmit it. With `splitRefraction` a refracting beam also spawns
+// a reflected branch, weighted by the Fresnel reflectance; branches weaker than `minBranchWeight` are dropped.
+// Returns every surface hit as { point, normal, direction, surface, object, weight }, where `normal` faces
+// the incoming beam and `direction` is the mirror-reflected direction, whatever the surface does with the beam.
+// With `maxPathLength` every branch is cut off that far from the origin (measured along the beam), and
+// hits beyond the cut are not reported. The longest drawn branch is stored in laserLineObj.userData.pathLength.
+export function updateLaserLineGeometry(laserLineObj, origin, direction, raycaster, interactiveObjectsArr, maxBounces, maxLaserLength, options = {}) {
+    const splitRefraction = options.splitRefraction !== undefined ? options.splitRefraction : true;
+    const minBranchWeight = options.minBranchWeight !== undefined ? options.minBranchWeight : DEFAULT_MIN_BRANCH_WEIGHT;
+    const maxSegments     = options.maxSegments || DEFAULT_MAX_SEGMENTS;
+    const maxPathLength   = options.maxPathLength !== undefined ? options.maxPathLength : Infinity;
+
+    const points = []; // Pairs of points, one pair per segment
+    const hits   = [];
+    const rays   = maxBounces > 0 ? [{ origin: origin.clone(), direction: direction.clone(), bounce: 0, weight: 1, travelled: 0 }] : []; // No bounces, no beam
+    let pathLength = 0;
+
+    // Draws up to `length` of a ray, less if the path length runs out; returns whether all of it was drawn
+    const pushSegment = (ray, length) => {
+        const drawn = Math.min(length, maxPathLength - ray.travelled);
+        if (drawn > 0) {
+            points.push(ray.origin.clone(), ray.origin.clone().addScaledVector(ray.direction, drawn));
+            pathLength = Math.max(pathLength, ray.travelled + drawn);
+        }
+        return drawn >= length;
+    };
+
+    while (rays.length > 0 && points.length / 2 < maxSegments) {
+        const ray = rays.pop();
+
+        raycaster.set(ray.origin, ray.direction);
+        const intersects = raycaster.intersectObjects(interactiveObjectsArr, true);
+
+        if (intersects.length === 0 || !intersects[0].face) {
+            pushSegment(ray, maxLaserLength);
+            continue;
+        }
+
+        const intersection = intersects[0];
+        const impactPoint = intersection.point;
+        if (!pushSegment(ray, intersection.distance)) {
+            continue; // Cut off before reaching the surface
+        }
+        const travelled = ray.travelled + intersection.distance;
+
+        const surface = getSurfaceBehavior(getIntersectionMaterial(intersection));
+
+        const worldNormal = new THREE.Vector3();
+        worldNormal.copy(intersection.face.normal).transformDirection(intersection.object.matrixWorld);
+
+        const entering = ray.direction.dot(worldNormal) < 0;
+        if (!entering) {
+            worldNormal.negate();
+        }
+
+        const reflected = ray.direction.clone().reflect(worldNormal);
+        hits.push({ point: impactPoint.clone(), normal: worldNormal, direction: reflected.clone(), surface, object: intersection.object, weight: ray.weight });
+
+        if (surface.type === SURFACE_DIFFUSE) {
+            continue; // The beam ends on the surface
+        }
+
+        const branches = [];
+
+        if (surface.type === SURFACE_REFRACT) {
+            const n1 = entering ? 1 : surface.ior;
+            const n2 = entering ? surface.ior : 1;
+            const transmitted = refractDirection(ray.direction, worldNormal, n1 / n2);
+
+            if (transmitted) {
+                const reflectance = fresnelReflectance(ray.direction.dot(worldNormal), n1, n2);
+                branches.push({ direction: transmitted, weight: ray.weight * (1 - reflectance) });
+                if (splitRefraction) {
+                    branches.push({ direction: reflected, weight: ray.weight * reflectance });
+                }
+            } else {
+                branches.push({ direction: reflected, weight: ray.weight }); // Total internal reflection
+            }
+        } else {
+            branches.push({ direction: reflected, weight: ray.weight });
+        }
+
+        branches.forEach((branch) => {
+            if (branch.weight < minBranchWeight) return;
+
+            const branchOrigin = impactPoint.clone().add(branch.direction.clone().multiplyScalar(0.001)); // Offset for next ray
+
+            const branchRay = { origin: branchOrigin, direction: branch.direction, bounce: ray.bounce + 1, weight: branch.weight, travelled };
+
+            if (ray.bounce >= maxBounces - 1) { // If it's the last bounce, draw the final segment
+                pushSegment(branchRay, maxLaserLength);
+            } else {
+                rays.push(branchRay);
+            }
+        });
+    }
+
+    laserLineObj.geometry.setFromPoints(points);
+    laserLineObj.geometry.attributes.position.needsUpdate = true;
+    laserLineObj.userData.pathLength = pathLength;
+
+    return hits;
+}
+
+// Owns every laser beam in the scene: their LineSegments objects, materials and per-beam settings.
+// Each laser is a plain object so callers can read or tweak its state directly.
+export class LaserSystem
+{
+    constructor(scene, options = {}) {
+        this.scene              = scene;
+        this.raycaster          = options.raycaster || new THREE.Raycaster();
+        this.raycaster.firstHitOnly = true; // Only the nearest hit is used; lets BVH-accelerated meshes stop early
+        this.sightRaycaster     = new THREE.Raycaster(); // Line-of-sight checks in place(), its `far` changes per check
+        this.sightRaycaster.firstHitOnly = true;
+        this.interactiveObjects = options.interactiveObjects || []; // Objects the lasers can hit
+
+        this.defaults = {
+            color           : options.color !== undefined ? options.color : DEFAULT_LASER_COLOR,
+            maxBounces      : options.maxBounces !== undefined ? options.maxBounces : DEFAULT_MAX_BOUNCES,
+            maxLength       : options.maxLength !== undefined ? options.maxLength : DEFAULT_MAX_LENGTH,
+            splitRefraction : options.splitRefraction !== undefined ? options.splitRefraction : true,
+            transitionStyle    : options.transitionStyle || DEFAULT_TRANSITION_STYLE,
+            transitionDuration : options.transitionDuration !== undefined ? options.transitionDuration : DEFAULT_TRANSITION_DURATION,
+            transitionEasing   : options.transitionEasing || DEFAULT_TRANSITION_EASING
+        };
+
+        this.defaultTargeting = options.targeting || new RandomTargeting(); // Used by lasers without their own strategy
+
+        this.lasers = [];
+        this.hits   = []; // Surface hits of every laser from the last update(), each tagged with its laser
+    }
+
+    addLaser(options = {}) {
+        const color    = options.color !== undefined ? options.color : this.defaults.color;
+        const material = new THREE.LineBasicMaterial({ color });
+        const line     = new THREE.LineSegments(new THREE.BufferGeometry(), material); // Segments, so refracted beams can branch
+        this.scene.add(line);
+
+        const laser = {
+            line,
+            material,
+            color,
+            maxBounces      : options.maxBounces !== undefined ? options.maxBounces : this.defaults.maxBounces,
+            maxLength       : options.maxLength !== undefined ? options.maxLength : this.defaults.maxLength,
+            splitRefraction : options.splitRefraction !== undefined ? options.splitRefraction : this.defaults.splitRefraction,
+            targeting       : options.targeting || null, // Targeting strategy, null = the system's default
+            origin          : null, // THREE.Vector3 - Current origin of the laser
+            direction       : null, // THREE.Vector3 - Current direction of the laser
+            target          : null, // THREE.Vector3 - Target point on the model
+            transition      : null, // Running jump transition, see moveLaser
+            beamOrigin      : null, // THREE.Vector3 - Where the drawn beam starts; differs from origin during a transition
+            beamTarget      : null, // THREE.Vector3 - Where the drawn beam aims
+            fade            : 1.0,  // Brightness factor of fade transitions (0-1)
+            brightness      : 1.0,  // Pulse brightness from setPulse
+            pulseIntensity  : 1.0   // Current pulse intensity (0-1)
+        };
+        this.lasers.push(laser);
+
+        return laser;
+    }
+
+    removeLaser(laser) {
+        const index = this.lasers.indexOf(laser);
+        if (index === -1) {
+            console.warn("LaserSystem: removeLaser called with a laser that is not part of this system.");
+            return false;
+        }
+        this.lasers.splice(index, 1);
+
+        this.scene.remove(laser.line);
+        laser.line.geometry.dispose();
+        laser.material.dispose();
+        this.releaseTargeting(laser.targeting);
+        return true;
+    }
+
+    getTargeting(laser) {
+        return laser.targeting || this.defaultTargeting;
+    }
+
+    // Switches a laser to another targeting strategy; null returns it to the default
+    setTargeting(laser, targeting) {
+        const previous = laser.targeting;
+        laser.targeting = targeting || null;
+        this.releaseTargeting(previous);
+    }
+
+    // Disposes a strategy once no laser uses it anymore
+    releaseTargeting(targeting) {
+        if (!targeting || targeting === this.defaultTargeting) return;
+        if (this.lasers.some(laser => laser.targeting === targeting)) return;
+        targeting.dispose();
+    }
+
+    // Moves a laser to a new origin and lets its targeting strategy choose what to aim at
+    retarget(laser, origin, context) {
+        this.moveLaser(laser, origin, this.getTargeting(laser).pickTarget(laser, { ...context, origin }), context.center);
+    }
+
+    // Whether a beam from origin reaches target before hitting anything else
+    hasLineOfSight(origin, target) {
+        const toTarget = new THREE.Vector3().subVectors(target, origin);
+        const distance = toTarget.length();
+        if (distance === 0) return true;
+
+        const tolerance = LINE_OF_SIGHT_TOLERANCE * Math.max(1, distance);
+        this.sightRaycaster.set(origin, toTarget.divideScalar(distance));
+        this.sightRaycaster.far = distance + tolerance;
+        const intersects = this.sightRaycaster.intersectObjects(this.interactiveObjects, true);
+        return intersects.length === 0 || intersects[0].distance >= distance - tolerance;
+    }
+
+    // Like retarget, but picks the origin too and checks the pair: the origin must not sit between the
+    // camera and the model (inside the view frustum, nearer than context.center) or within
+    // minCameraDistance of the camera, and the beam must reach its target unobstructed. Up to maxAttempts
+    // pairs are tried; if none passes, the one with the fewest problems is used, a bad origin counting
+    // as worse than a blocked beam. Returns whether the chosen pair passed every check.
+    // pickOrigin: () => THREE.Vector3
+    // options: { maxAttempts, minCameraDistance }
+    place(laser, pickOrigin, context, options = {}) {
+        const maxAttempts       = Math.max(1, options.maxAttempts || DEFAULT_PLACEMENT_ATTEMPTS);
+        const minCameraDistance = options.minCameraDistance !== undefined ? options.minCameraDistance : DEFAULT_MIN_CAMERA_DISTANCE;
+        const camera            = context.camera;
+        const targeting         = this.getTargeting(laser);
+
+        let frustum = null;
+        if (camera) {
+            camera.updateMatrixWorld();
+            frustum = new THREE.Frustum().setFromProjectionMatrix(
+                new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+            );
+        }
+        const centerDistance = camera && context.center ? camera.position.distanceTo(context.center) : Infinity;
+
+        let best = null;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const origin = pickOrigin();
+            const target = targeting.pickTarget(laser, { ...context, origin });
+            if (!target) continue;
+
+            let penalty = 0;
+            if (camera) {
+                const cameraDistance = camera.position.distanceTo(origin);
+                const inFrontOfModel = cameraDistance < centerDistance && frustum.containsPoint(origin);
+                if (cameraDistance < minCameraDistance || inFrontOfModel) penalty += 2;
+            }
+            if (!this.hasLineOfSight(origin, target)) penalty += 1;
+
+            if (!best || penalty < best.penalty) {
+                best = { origin, target, penalty };
+            }
+            if (penalty === 0) break;
+        }
+
+        if (!best) { // The strategy had nothing to aim at
+            this.retarget(laser, pickOrigin(), context);
+            return false;
+        }
+        this.moveLaser(laser, best.origin, best.target, context.center);
+        return best.penalty === 0;
+    }
+
+    // Gives continuous strategies (scan, cursor) a chance to move the aim point every frame
+    updateTargets(context, deltaTime) {
+        this.lasers.forEach((laser) => {
+            if (!laser.origin) return;
+            const target = this.getTargeting(laser).update(laser, context, deltaTime);
+            if (target) {
+                this.aimLaser(laser, laser.origin, target);
+            }
+        });
+    }
+
+    setLaserColor(laser, color) {
+        laser.color = color;
+        this.applyColor(laser);
+    }
+
+    applyColor(laser) {
+        laser.material.color.setHex(laser.color).multiplyScalar(laser.brightness * laser.fade);
+    }
+
+    // Points a laser from origin at target and recomputes its direction
+    aimLaser(laser, origin, target) {
+        laser.origin = origin;
+        laser.target = target;
+        if (origin && target) {
+            if (!laser.direction) laser.direction = new THREE.Vector3();
+            laser.direction.subVectors(target, origin).normalize();
+        } else {
+            laser.direction = new THREE.Vector3(0, 0, -1); // Default direction
+        }
+    }
+
+    // Aims a laser at a new origin and target through the transitionStyle default:
+    //   'tween'   - the origin glides along the sphere around `center` (straight without one) while the
+    //               aim point slides across the model
+    //   'fade'    - the old beam fades out, then the new one fades in
+    //   'retract' - the old beam shrinks back into its origin, then the new one extends to its target
+    // The beam is retraced every frame, so reflections follow along. The laser's origin and target are
+    // the destination right away; beamOrigin and beamTarget hold what is drawn. Without a previous beam,
+    // or with style 'none', the laser is aimed at once.
+    moveLaser(laser, origin, target, center = null) {
+        const style    = this.defaults.transitionStyle;
+        const duration = this.defaults.transitionDuration;
+
+        if (style === 'none' || duration <= 0 || !laser.beamOrigin || !laser.beamTarget || !origin || !target) {
+            laser.transition = null;
+            laser.fade = 1;
+            this.aimLaser(laser, origin, target);
+            return;
+        }
+
+        // Starts from whatever is drawn, so a jump during a transition continues smoothly
+        laser.transition = {
+            style,
+            duration,
+            easing     : resolveEasing(this.defaults.transitionEasing),
+            elapsed    : 0,
+            fromOrigin : laser.beamOrigin.clone(),
+            fromTarget : laser.beamTarget.clone(),
+            fromFade   : laser.fade,
+            fromLength : laser.line.userData.pathLength || 0, // Length the retracting beam shrinks from
+            toLength   : null, // Length the new beam extends to, measured when it starts
+            center     : center ? center.clone() : null
+        };
+        this.aimLaser(laser, origin, target);
+    }
+
+    // Origin between two points on a sphere around `center`, following its surface
+    interpolateOrigin(from, to, center, t) {
+        if (!center) return from.clone().lerp(to, t);
+
+        const fromOffset = from.clone().sub(center);
+        const toOffset   = to.clone().sub(center);
+        const radius     = THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), t);
+        if (radius === 0) return center.clone();
+
+        const rotation = new THREE.Quaternion().setFromUnitVectors(fromOffset.normalize(), toOffset.normalize());
+        return fromOffset.applyQuaternion(new THREE.Quaternion().slerp(rotation, t)).multiplyScalar(radius).add(center);
+    }
+
+    // Advances a laser's transition and returns what to draw this frame: { origin, target, maxPathLength }
+    stepTransition(laser, deltaTime) {
+        const transition = laser.transition;
+        transition.elapsed += deltaTime;
+        const t = Math.min(1, transition.elapsed / transition.duration);
+        const firstHalf = t < 0.5;
+        const half = transition.easing(firstHalf ? t * 2 : t * 2 - 1); // Progress within the current half
+        const beam = { origin: laser.origin, target: laser.target, maxPathLength: Infinity };
+
+        if (transition.style === 'tween') {
+            const e = transition.easing(t);
+            beam.origin = this.interpolateOrigin(transition.fromOrigin, laser.origin, transition.center, e);
+            beam.target = transition.fromTarget.clone().lerp(laser.target, e);
+        } else if (transition.style === 'fade') {
+            if (firstHalf) {
+                beam.origin = transition.fromOrigin;
+                beam.target = transition.fromTarget;
+            }
+            laser.fade = firstHalf ? transition.fromFade * (1 - half) : half;
+        } else if (transition.style === 'retract') {
+            if (firstHalf) {
+                beam.origin = transition.fromOrigin;
+                beam.target = transition.fromTarget;
+                beam.maxPathLength = transition.fromLength * (1 - half);
+            } else {
+                if (transition.toLength === null) {
+                    transition.toLength = this.measurePath(laser);
+                }
+                beam.maxPathLength = transition.toLength * half;
+            }
+        }
+
+        if (t >= 1) {
+            laser.transition = null;
+            laser.fade = 1;
+            beam.maxPathLength = Infinity;
+        }
+        return beam;
+    }
+
+    // Full length of a laser's beam at its destination, traced without drawing limits
+    measurePath(laser) {
+        updateLaserLineGeometry(laser.line, laser.origin, laser.direction, this.raycaster, this.interactiveObjects, laser.maxBounces, laser.maxLength, {
+            splitRefraction: laser.splitRefraction
+        });
+        return laser.line.userData.pathLength;
+    }
+
+    // Applies the shared pulse to every beam by modulating its color brightness
+    setPulse(pulseIntensity, brightnessScalar) {
+        this.lasers.forEach((laser) => {
+            laser.pulseIntensity = pulseIntensity;
+            laser.brightness = brightnessScalar;
+            this.applyColor(laser);
+        });
+    }
+
+    // Retraces every beam; deltaTime (seconds) advances running transitions
+    update(deltaTime = 0) {
+        this.hits = [];
+        this.lasers.forEach((laser) => {
+            if (laser.origin && laser.direction) { // Ensure origin and direction are calculated
+                const beam = laser.transition ? this.stepTransition(laser, deltaTime) : { origin: laser.origin, target: laser.target, maxPathLength: Infinity };
+                const direction = beam.target ? new THREE.Vector3().subVectors(beam.target, beam.origin).normalize() : laser.direction;
+                if (direction.lengthSq() === 0) direction.copy(laser.direction);
+
+                laser.beamOrigin = beam.origin;
+                laser.beamTarget = beam.target;
+                this.applyColor(laser);
+
+                const hits = updateLaserLineGeometry(laser.line, beam.origin, direction, this.raycaster, this.interactiveObjects, laser.maxBounces, laser.maxLength, {
+                    splitRefraction : laser.splitRefraction,
+                    maxPathLength   : beam.maxPathLength
+                });
+                hits.forEach((hit) => {
+                    hit.laser = laser;
+                    hit.weight *= laser.fade; // Impact glows fade with the beam
+                    this.hits.push(hit);
+                });
+            }
+        });
+    }
+}
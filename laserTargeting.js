@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+import { random } from './random.js';
+import { SurfaceSampler, sampleSphere } from './surfaceSampling.js';
+
+// Targeting strategies decide where a laser aims. Each one implements:
+//   pickTarget(laser, context)        -> THREE.Vector3, called whenever the lasers jump, possibly several
+//                                        times per jump while LaserSystem.place tries origins
+//   update(laser, context, deltaTime) -> THREE.Vector3 or null, called every frame; null keeps the current aim
+//   dispose()                         -> releases listeners, called when no laser uses the strategy anymore
+// `context` is { model, vertices, sampler, targetFilter, center, camera, origin }, with vertices in world
+// coordinates. `sampler` is the model's SurfaceSampler, `targetFilter` is 'none', 'facing' (the camera)
+// or 'visible' (facing, and in line of sight from the laser's origin), and `origin` is only set for pickTarget.
+// A single strategy instance can be shared by several lasers; per-laser state is keyed by the laser.
+// Strategies that pick at random take options.random, a () => [0, 1) source (see random.js); so do those
+// that only fall back to a random vertex without a model or a point to aim at.
+
+// null outside a browser: CursorTargeting then has no pointer and always falls back (e.g. in Node tests)
+const browserWindow = typeof window !== 'undefined' ? window : null;
+
+export function getRandomVertex(verticesArray, rand = random) {
+    if (!verticesArray || verticesArray.length === 0) {
+        console.warn("getRandomVertex: modelVertices array is empty or undefined. Returning default Vector3(0,0,0).");
+        return new THREE.Vector3(); // Default target if no vertices
+    }
+    const randomIndex = Math.floor(rand() * verticesArray.length);
+    return verticesArray[randomIndex].clone(); // Return a clone to avoid modifying original
+}
+
+// Laser origin uniformly distributed on a sphere of `radius` around `center`
+export function getRandomPointOnSphere(center, radius, rand = random) {
+    return sampleSphere(center, radius, { rand });
+}
+
+// Area-weighted point on the sampler's surface that passes context.targetFilter (and `accept`), or null
+export function sampleSurfacePoint(context, sampler, rand = random, accept = null) {
+    const filter = context.targetFilter || 'none';
+    const sample = sampler.sample({
+        rand,
+        facing      : filter !== 'none' && context.camera ? context.camera.position : null,
+        visibleFrom : filter === 'visible' ? context.origin : null,
+        occluders   : context.model,
+        accept
+    });
+    return sample ? sample.point : null;
+}
+
+// Aims at a random point of the model's surface on every jump, area-weighted so every part of the
+// model is equally likely. Without a sampler it falls back to a random vertex.
+export class RandomTargeting
+{
+    constructor(options = {}) {
+        this.random = options.random || random;
+    }
+
+    pickTarget(laser, context) {
+        const sampler = context.sampler;
+        if (!sampler || sampler.isEmpty) return getRandomVertex(context.vertices, this.random);
+
+        const point = sampleSurfacePoint(context, sampler, this.random);
+        return point || sampler.sampleOnce(this.random).point; // Nothing passed the filter, any surface point will do
+    }
+
+    update() {
+        return null;
+    }
+
+    dispose() {}
+}
+
+// Sweeps each beam smoothly across the model's bounding box along a Lissajous path.
+// Lasers sharing the strategy start at evenly spread phases so they don't overlap.
+export class ScanTargeting
+{
+    constructor(options = {}) {
+        this.speed    = options.speed !== undefined ? options.speed : 0.25; // Horizontal sweeps per second
+        this.coverage = options.coverage !== undefined ? options.coverage : 0.8; // Fraction of the bounding box swept
+        this.random   = options.random || random; // For the vertex fallback without a model
+
+        this.phases    = new WeakMap(); // laser -> current phase
+        this.nextPhase = 0;
+        this.boxes     = new WeakMap(); // model -> world bounding box
+    }
+
+    getBox(model) {
+        if (!this.boxes.has(model)) {
+            this.boxes.set(model, new THREE.Box3().setFromObject(model));
+        }
+        return this.boxes.get(model);
+    }
+
+    pointAt(phase, model) {
+        const box    = this.getBox(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const half   = box.getSize(new THREE.Vector3()).multiplyScalar(0.5 * this.coverage);
+
+        return new THREE.Vector3(
+            center.x + half.x * Math.sin(phase * Math.PI * 2),
+            center.y + half.y * Math.sin(phase * Math.PI * 2 * 0.37 + 1.3), // Slower, out of step vertical drift
+            center.z
+        );
+    }
+
+    pickTarget(laser, context) {
+        if (!this.phases.has(laser)) {
+            this.phases.set(laser, this.nextPhase);
+            this.nextPhase += 0.27;
+        }
+        if (!context.model) return getRandomVertex(context.vertices, this.random);
+        return this.pointAt(this.phases.get(laser), context.model);
+    }
+
+    update(laser, context, deltaTime) {
+        if (!context.model || !this.phases.has(laser)) return null;
+
+        const phase = this.phases.get(laser) + this.speed * deltaTime;
+        this.phases.set(laser, phase);
+        return this.pointAt(phase, context.model);
+    }
+
+    dispose() {}
+}
+
+// Aims every beam at the point of the model under the mouse.
+// Listens on window rather than the canvas so OrbitControls keeps receiving its events.
+export class CursorTargeting
+{
+    constructor(options = {}) {
+        this.element   = options.element || null; // Element whose bounds map the pointer to NDC, e.g. renderer.domElement
+        this.pointer   = null; // THREE.Vector2 in normalized device coordinates, null until the pointer moves
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.firstHitOnly = true;
+        this.lastPoint = null; // Kept while the pointer is off the model
+        this.random    = options.random || random; // For the vertex fallback until the pointer is over the model
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        if (browserWindow) browserWindow.addEventListener('pointermove', this.onPointerMove);
+    }
+
+    onPointerMove(event) {
+        const rect = this.element
+            ? this.element.getBoundingClientRect()
+            : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+
+        if (!this.pointer) this.pointer = new THREE.Vector2();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    pointUnderCursor(context) {
+        if (!this.pointer || !context.model || !context.camera) return null;
+
+        this.raycaster.setFromCamera(this.pointer, context.camera);
+        const intersects = this.raycaster.intersectObject(context.model, true);
+        if (intersects.length > 0) {
+            this.lastPoint = intersects[0].point.clone();
+        }
+        return this.lastPoint;
+    }
+
+    pickTarget(laser, context) {
+        const point = this.pointUnderCursor(context);
+        return point ? point.clone() : getRandomVertex(context.vertices, this.random);
+    }
+
+    update(laser, context) {
+        const point = this.pointUnderCursor(context);
+        return point ? point.clone() : null;
+    }
+
+    dispose() {
+        if (browserWindow) browserWindow.removeEventListener('pointermove', this.onPointerMove);
+    }
+}
+
+// Random surface points restricted to named mesh nodes (and their children) and/or a world-space box,
+// e.g. { nodeNames: ['Face'] } to keep every beam on the face. Falls back to the region's vertices.
+export class RegionTargeting
+{
+    constructor(options = {}) {
+        this.nodeNames = options.nodeNames || [];
+        this.box       = options.box || null; // THREE.Box3 in world coordinates
+        this.random    = options.random || random;
+
+        this.regionVertices = new WeakMap(); // model -> filtered vertices
+        this.regionSamplers = new WeakMap(); // model -> SurfaceSampler over the named nodes
+    }
+
+    getRegionVertices(context) {
+        if (!context.model) return context.vertices;
+        if (this.regionVertices.has(context.model)) return this.regionVertices.get(context.model);
+
+        let vertices = context.vertices;
+
+        if (this.nodeNames.length > 0) {
+            vertices = [];
+            context.model.updateMatrixWorld(true);
+            this.nodeNames.forEach((name) => {
+                const node = context.model.getObjectByName(name);
+                if (!node) {
+                    console.warn("RegionTargeting: No node named '" + name + "' in the model.");
+                    return;
+                }
+                node.traverse((child) => {
+                    if (!child.isMesh) return;
+                    const positions = child.geometry.attributes.position;
+                    for (let i = 0; i < positions.count; i++) {
+                        vertices.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld));
+                    }
+                });
+            });
+        }
+
+        if (this.box) {
+            vertices = vertices.filter(vertex => this.box.containsPoint(vertex));
+        }
+
+        if (vertices.length === 0) {
+            console.warn("RegionTargeting: The region contains no vertices. Falling back to the whole model.");
+            vertices = context.vertices;
+        }
+
+        this.regionVertices.set(context.model, vertices);
+        return vertices;
+    }
+
+    getRegionSampler(context) {
+        if (!context.model || this.nodeNames.length === 0) return context.sampler || null;
+        if (!this.regionSamplers.has(context.model)) {
+            const nodes = this.nodeNames.map(name => context.model.getObjectByName(name)).filter(Boolean);
+            this.regionSamplers.set(context.model, nodes.length > 0 ? new SurfaceSampler(nodes) : null);
+        }
+        return this.regionSamplers.get(context.model);
+    }
+
+    pickTarget(laser, context) {
+        const sampler = this.getRegionSampler(context);
+        const accept  = this.box ? sample => this.box.containsPoint(sample.point) : null;
+        const point   = sampler && !sampler.isEmpty ? sampleSurfacePoint(context, sampler, this.random, accept) : null;
+        return point || getRandomVertex(this.getRegionVertices(context), this.random);
+    }
+
+    update() {
+        return null;
+    }
+
+    dispose() {}
+}
+
+export const TARGETING_MODES = {
+    random : RandomTargeting,
+    scan   : ScanTargeting,
+    cursor : CursorTargeting,
+    region : RegionTargeting
+};
+
+export function createTargeting(mode, options = {}) {
+    const Strategy = TARGETING_MODES[mode];
+    if (!Strategy) {
+        console.warn("createTargeting: Unknown targeting mode '" + mode + "'. Using random.");
+        return new RandomTargeting(options);
+    }
+    return new Strategy(options);
+}
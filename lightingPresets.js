@@ -0,0 +1,142 @@
+import * as THREE from 'three';
+import { resolveEasing } from './easing.js';
+
+// Named lighting setups for the ambient, directional and both spotlights.
+// Spotlight angles are in degrees, like the lights.* config values.
+export const LIGHTING_PRESETS = {
+    neutral: {
+        ambient     : { color: 0xffffff, intensity: 0.5 },
+        directional : { color: 0xffffff, intensity: 0.8 },
+        spotDown    : { color: 0xffffff, intensity: 50, distance: 1, angle: 22.5, penumbra: 0.5, decay: 2 },
+        spotFace    : { color: 0xffffff, intensity: 150, distance: 0.85, angle: 15.65, penumbra: 0.5, decay: 0.5 }
+    },
+    spooky: {
+        ambient     : { color: 0x8899ff, intensity: 0.15 },
+        directional : { color: 0x99aaff, intensity: 0.3 },
+        spotDown    : { color: 0xccd6ff, intensity: 30, distance: 1, angle: 22.5, penumbra: 0.8, decay: 2 },
+        spotFace    : { color: 0xffffff, intensity: 50, distance: 0.85, angle: 15.65, penumbra: 0.5, decay: 0.5 }
+    },
+    dramatic: {
+        ambient     : { color: 0xffffff, intensity: 0.05 },
+        directional : { color: 0xffd9a0, intensity: 1.6 },
+        spotDown    : { color: 0xffeedd, intensity: 120, distance: 1.2, angle: 18, penumbra: 0.2, decay: 2 },
+        spotFace    : { color: 0xffffff, intensity: 220, distance: 0.9, angle: 12, penumbra: 0.3, decay: 0.5 }
+    }
+};
+
+const LIGHT_NAMES = ['ambient', 'directional', 'spotDown', 'spotFace'];
+const NUMERIC_PROPERTIES = ['intensity', 'distance', 'angle', 'penumbra', 'decay'];
+
+// Drives the scene lights from presets, either instantly or tweened over time through update()
+export class LightingRig
+{
+    // lights: { ambient, directional, spotDown, spotFace }
+    constructor(lights) {
+        this.lights     = lights;
+        this.transition = null;
+        this.presetName = null; // Last preset applied or transitioned to
+    }
+
+    // Snapshot of the current light state in preset format
+    capture() {
+        const state = {};
+        LIGHT_NAMES.forEach((name) => {
+            const light = this.lights[name];
+            if (!light) return;
+            state[name] = { color: light.color.getHex(), intensity: light.intensity };
+            if (light.isSpotLight) {
+                state[name].distance = light.distance;
+                state[name].angle    = THREE.MathUtils.radToDeg(light.angle);
+                state[name].penumbra = light.penumbra;
+                state[name].decay    = light.decay;
+            }
+        });
+        return state;
+    }
+
+    // Writes a (possibly partial) preset onto the lights
+    apply(preset) {
+        LIGHT_NAMES.forEach((name) => {
+            const light = this.lights[name];
+            const values = preset[name];
+            if (!light || !values) return;
+
+            if (values.color !== undefined) light.color.setHex(values.color);
+            NUMERIC_PROPERTIES.forEach((property) => {
+                if (values[property] === undefined || light[property] === undefined) return;
+                light[property] = property === 'angle' ? THREE.MathUtils.degToRad(values[property]) : values[property];
+            });
+        });
+    }
+
+    resolvePreset(nameOrPreset) {
+        if (typeof nameOrPreset !== 'string') return nameOrPreset;
+        const preset = LIGHTING_PRESETS[nameOrPreset];
+        if (!preset) {
+            console.warn("LightingRig: Unknown lighting preset '" + nameOrPreset + "'.");
+        }
+        return preset || null;
+    }
+
+    // Tweens from the current state to a preset (name or object) over `duration` seconds.
+    // Resolves when the transition completes, or immediately if it is replaced by another one.
+    transitionTo(nameOrPreset, duration = 1, easing = 'easeInOut') {
+        const preset = this.resolvePreset(nameOrPreset);
+        if (!preset) return Promise.resolve(false);
+
+        if (this.transition) {
+            this.transition.resolve(false); // Superseded, the new transition starts from wherever the lights are now
+        }
+        this.presetName = typeof nameOrPreset === 'string' ? nameOrPreset : null;
+
+        if (duration <= 0) {
+            this.transition = null;
+            this.apply(preset);
+            return Promise.resolve(true);
+        }
+
+        return new Promise((resolve) => {
+            this.transition = {
+                from     : this.capture(),
+                to       : preset,
+                elapsed  : 0,
+                duration,
+                easing   : resolveEasing(easing),
+                resolve
+            };
+        });
+    }
+
+    update(deltaTime) {
+        const transition = this.transition;
+        if (!transition) return;
+
+        transition.elapsed = Math.min(transition.elapsed + deltaTime, transition.duration);
+        const t = transition.easing(transition.elapsed / transition.duration);
+
+        const fromColor = new THREE.Color();
+        const toColor   = new THREE.Color();
+        const blended   = {};
+
+        LIGHT_NAMES.forEach((name) => {
+            const from = transition.from[name];
+            const to   = transition.to[name];
+            if (!from || !to) return;
+
+            blended[name] = {};
+            if (to.color !== undefined) {
+                blended[name].color = fromColor.setHex(from.color).lerp(toColor.setHex(to.color), t).getHex();
+            }
+            NUMERIC_PROPERTIES.forEach((property) => {
+                if (to[property] === undefined || from[property] === undefined) return;
+                blended[name][property] = THREE.MathUtils.lerp(from[property], to[property], t);
+            });
+        });
+        this.apply(blended);
+
+        if (transition.elapsed >= transition.duration) {
+            this.transition = null;
+            transition.resolve(true);
+        }
+    }
+}
@@ -0,0 +1,93 @@
+const BYTES_PER_MB = 1024 * 1024;
+
+// Progress text for a download. Without a Content-Length header the loader reports total = 0
+// (lengthComputable false), so only the bytes received so far can be shown.
+export function formatProgress(loaded, total) {
+    if (total > 0) {
+        return Math.min(100, Math.round(loaded / total * 100)) + '%';
+    }
+    return (loaded / BYTES_PER_MB).toFixed(1) + ' MB';
+}
+
+// Full-screen overlay for the model load: a message, a progress bar and a retry button.
+// States: loading (with progress), error (blocks the empty scene), notice (a small banner that
+// leaves the scene usable, e.g. when a fallback model is shown instead) and progress (loading as a banner,
+// e.g. a retry while a model is already shown).
+export class LoadingOverlay
+{
+    constructor(parent = document.body) {
+        this.element = document.createElement('div');
+        this.element.id = 'loading-overlay';
+
+        this.box = document.createElement('div');
+        this.box.className = 'loading-overlay-box';
+        this.element.appendChild(this.box);
+
+        this.message = document.createElement('p');
+        this.message.className = 'loading-overlay-message';
+        this.message.setAttribute('role', 'status');
+        this.box.appendChild(this.message);
+
+        this.bar = document.createElement('div');
+        this.bar.className = 'loading-overlay-bar';
+        this.fill = document.createElement('div');
+        this.fill.className = 'loading-overlay-fill';
+        this.bar.appendChild(this.fill);
+        this.box.appendChild(this.bar);
+
+        this.retryButton = document.createElement('button');
+        this.retryButton.type = 'button';
+        this.retryButton.className = 'loading-overlay-retry';
+        this.retryButton.textContent = 'Retry';
+        this.retryButton.addEventListener('click', () => {
+            if (this.onRetry) this.onRetry();
+        });
+        this.box.appendChild(this.retryButton);
+
+        this.onRetry = null;
+        this.label   = '';
+        parent.appendChild(this.element);
+        this.hide();
+    }
+
+    setState(state) {
+        this.element.className = state;
+        this.element.hidden = state === 'hidden';
+    }
+
+    // blocking false shows the progress as a banner over a scene that stays usable
+    showLoading(label, blocking = true) {
+        this.label   = label;
+        this.onRetry = null;
+        this.message.textContent = label;
+        this.fill.style.width = '';
+        this.bar.classList.add('indeterminate'); // Until the first progress event tells the size
+        this.setState(blocking ? 'loading' : 'progress');
+    }
+
+    // loaded and total in bytes, as reported by the loader's progress events
+    setProgress(loaded, total) {
+        this.message.textContent = this.label + ' ' + formatProgress(loaded, total);
+        this.bar.classList.toggle('indeterminate', !(total > 0));
+        this.fill.style.width = total > 0 ? Math.min(100, loaded / total * 100) + '%' : ''; // The stylesheet sizes the sliding segment
+    }
+
+    // Blocks the scene with `message` and a Retry button that calls onRetry
+    showError(message, onRetry) {
+        this.onRetry = onRetry;
+        this.message.textContent = message;
+        this.setState('error');
+    }
+
+    // Banner at the bottom of the screen, the scene stays visible and usable
+    showNotice(message, onRetry) {
+        this.onRetry = onRetry;
+        this.message.textContent = message;
+        this.setState('notice');
+    }
+
+    hide() {
+        this.onRetry = null;
+        this.setState('hidden');
+    }
+}
@@ -1,62 +1,61 @@
 import { TextSparks } from './textSparks.js';
+import { TextSparks3D } from './textSparks3D.js';
 // Import necessary Three.js modules
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { LaserSystem } from './laserSystem.js';
+import { createTargeting, RandomTargeting } from './laserTargeting.js';
+import { SurfaceSampler, sampleSphere } from './surfaceSampling.js';
+import { prepareOpticalMaterials } from './laserOptics.js';
+import { ImpactEffects } from './impactEffects.js';
+import { buildRaycastAcceleration, disposeRaycastAcceleration } from './raycastAcceleration.js';
+import { CONFIG_SCHEMA, loadConfig } from './config.js';
+import { LightingRig } from './lightingPresets.js';
+import { CameraMotionTracker } from './cameraMotionTracker.js';
+import { createTweakPanel } from './tweakPanel.js';
+import { sceneEvents } from './sceneEvents.js';
+import { setRandomSeed, createStream } from './random.js';
+import { SafePulse, limitBrightnessRange, setCalmMode, prefersReducedMotion } from './photosensitivity.js';
+import { LoadingOverlay } from './loadingOverlay.js';
+
+// ?seed=<number or text> makes laser layouts and sparks repeatable, e.g. for bug reports
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+if (seedParam !== null) {
+    setRandomSeed(seedParam);
+    console.log('Random seed: ' + seedParam);
+}
+// One stream per subsystem, so with a seed each keeps its sequence whatever the others draw
+const randomStreams = {
+    lasers     : createStream('lasers'),
+    textSparks : createStream('textSparks'),
+    impacts    : createStream('impacts')
+};
 
 // Scene Setup
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x000000);
 
-// Helper Functions for Lasers
-function getRandomPointOnSphere(center, radius) {
-    const point = new THREE.Vector3(
-        Math.random() * 2 - 1, // x in [-1, 1]
-        Math.random() * 2 - 1, // y in [-1, 1]
-        Math.random() * 2 - 1  // z in [-1, 1]
-    );
-    if (point.lengthSq() === 0) { // Avoid division by zero if random point is (0,0,0)
-        point.x = 1; // Set to a default vector if (0,0,0)
-    }
-    point.normalize().multiplyScalar(radius).add(center);
-    return point;
-}
-
-function getRandomVertex(verticesArray) {
-    if (!verticesArray || verticesArray.length === 0) {
-        console.warn("getRandomVertex: modelVertices array is empty or undefined. Returning default Vector3(0,0,0).");
-        return new THREE.Vector3(); // Default target if no vertices
-    }
-    const randomIndex = Math.floor(Math.random() * verticesArray.length);
-    return verticesArray[randomIndex].clone(); // Return a clone to avoid modifying original
-}
-
 // Clock for animation timing
 const clock = new THREE.Clock();
 
+// Shown before anything is awaited, so a slow ?config=file.json doesn't leave a blank page. The model
+// load takes the overlay over once the settings are in.
+const loadingOverlay = new LoadingOverlay();
+loadingOverlay.showLoading('Loading settings');
+
 // --- Configuration Parameters ---
-const INVISIBLE_SPHERE_RADIUS = 10; // Radius for the invisible sphere where lasers originate
-const CAMERA_ROTATION_THRESHOLD = THREE.MathUtils.degToRad(15); // Min camera rotation (radians) to be considered 'significant movement'
-const CAMERA_POSITION_THRESHOLD = 0.1; // Min camera position change (world units) for 'significant movement'
-const STILLNESS_LIMIT = 3.0; // Duration (seconds) camera must be 'still' to trigger laser jump
-
-const BASE_PULSE_FREQUENCY = 0.5; // Base laser pulse frequency (cycles per second) when camera is still
-const PULSE_FREQUENCY_SENSITIVITY = 5.0; // How much camera movement speed influences pulse frequency
-const MIN_LASER_BRIGHTNESS = 0.3; // Minimum brightness for pulsing laser material (range 0-1)
-const MAX_LASER_BRIGHTNESS = 1.0; // Maximum brightness for pulsing laser material (range 0-1)
-
-// General Laser Properties
-const MAX_LASER_LENGTH = 20; // Max length of a laser beam segment if it doesn't hit anything
-const MAX_BOUNCES = 3; // Max number of times a laser can bounce
+// Every tuning value lives in config.js: defaults, overridable by ?config=file.json and by URL
+// parameters such as ?pulse.baseFrequency=1. `settings` is read live, so tweaks apply immediately.
+const config = await loadConfig();
+const settings = config.values;
 // --- End Configuration Parameters ---
 
-// Camera Movement Tracking State
-let previousCameraPosition = new THREE.Vector3(); // Stores camera position from the previous frame
-let previousCameraQuaternion = new THREE.Quaternion(); // Stores camera orientation from the previous frame
-let stillnessTimer = 0; // Accumulates time camera has been still
-
-// Raycaster for Lasers
-const laserRaycaster = new THREE.Raycaster();
+// Calm mode slows and softens every pulse and flicker; prefers-reduced-motion turns it on by itself
+setCalmMode(settings.safety.calmMode);
+if (prefersReducedMotion()) {
+    console.log('Reduced motion preferred: pulsing and flicker use the calm limits.');
+}
 
 // Camera Setup
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -89,63 +88,156 @@ directionalLight.target = directionalLightTarget;
 const directionalLightHelper = new THREE.DirectionalLightHelper(directionalLight, 0); // Using a size of 2 for the helper
 scene.add(directionalLightHelper);
 
-const spotLightDown = new THREE.SpotLight(0xffffff, 50);
-spotLightDown.distance = 1; // Adjusted for potentially different model size
-spotLightDown.angle = Math.PI / 8; // Adjusted for potentially different model size
-spotLightDown.penumbra = 0.5;
-spotLightDown.decay = 2;
+const spotLightDown = new THREE.SpotLight(0xffffff);
+const spotLightFace = new THREE.SpotLight(0xffffff);
+
+const sceneLights = {
+    ambient: ambientLight,
+    directional: directionalLight,
+    spotDown: spotLightDown,
+    spotFace: spotLightFace
+};
+
+// Copies one lights.<light>.<property> setting (or lights.helpers) onto the scene.
+// Only the changed property is written, so a tweak does not undo a lighting preset's other values.
+function applyLightSetting(key) {
+    const [, lightName, property] = key.split('.');
+
+    if (lightName === 'helpers') {
+        directionalLightHelper.visible = settings.lights.helpers;
+        modelHelpers.forEach((helper) => {
+            helper.visible = settings.lights.helpers;
+        });
+        return;
+    }
+
+    const light = sceneLights[lightName];
+    if (!light || !property) return;
+
+    const value = settings.lights[lightName][property];
+    light[property] = property === 'angle' ? THREE.MathUtils.degToRad(value) : value; // Spotlight angles are configured in degrees
+    modelHelpers.forEach(helper => helper.update());
+}
+
+function applyLightSettings() {
+    Object.keys(CONFIG_SCHEMA).filter(key => key.startsWith('lights.')).forEach(applyLightSetting);
+}
 
-const spotLightFace = new THREE.SpotLight();
-spotLightFace.color.set(0xffffff);
-spotLightFace.intensity = 50; // Adjusted intensity for the face spotlight GOOD VALUE IS 150 // spookyvalue 
-spotLightFace.distance = 0.85;
-spotLightFace.angle = Math.PI / 11.5;
-spotLightFace.penumbra = 0.5;
-spotLightFace.decay = 0.5;
+// Lighting Presets
+const lightingRig = new LightingRig(sceneLights);
+let jumpPresetIndex = 0;
+
+// Tweens every light to a named preset ('neutral', 'spooky', 'dramatic', see lightingPresets.js)
+function setLightingPreset(name, duration = settings.lights.transitionDuration, easing = 'easeInOut') {
+    return lightingRig.transitionTo(name, duration, easing);
+}
+
+// Steps through lights.jumpPresets, one preset per laser jump. Fast orbiting jumps the lasers every frame,
+// so it steps at most once per events.jumpInterval and lets a running preset tween finish first.
+let lastJumpPresetTime = -Infinity; // clock.elapsedTime of the last step
+function advanceJumpPreset() {
+    const presets = settings.lights.jumpPresets.split(',').map(name => name.trim()).filter(Boolean);
+    if (presets.length === 0 || lightingRig.transition) return;
+    if (clock.elapsedTime - lastJumpPresetTime < settings.events.jumpInterval) return;
+    lastJumpPresetTime = clock.elapsedTime;
+
+    setLightingPreset(presets[jumpPresetIndex % presets.length]);
+    jumpPresetIndex++;
+}
 
 // Model Setup & Loading
 let model;
 let modelVertices = []; // To store world coordinates of model vertices
-
-// Laser Global Variables
-// const laserOffset1 = new THREE.Vector3(-0.8, 0.8, -1); // Top-left - REMOVED
-// const laserOffset2 = new THREE.Vector3(0.8, 0.8, -1);  // Top-right - REMOVED
-// const laserOffset3 = new THREE.Vector3(-0.8, -0.8, -1);// Bottom-left - REMOVED
-// const laserOffset4 = new THREE.Vector3(0.8, -0.8, -1); // Bottom-right - REMOVED
-
-// Laser 1
-let laserLine; // THREE.Line object
-let laserOrigin1; // THREE.Vector3 - Current origin of the laser
-let initialLaserDirection1; // THREE.Vector3 - Current direction of the laser
-let laserTargetVertex1; // THREE.Vector3 - Target vertex on the model
-let laserPulseIntensity1 = 1.0; // Current pulse intensity (0-1)
-
-// Laser 2
-let laserLine2;
-let laserOrigin2;
-let initialLaserDirection2;
-let laserTargetVertex2;
-let laserPulseIntensity2 = 1.0;
-const laserMaterial2 = new THREE.LineBasicMaterial({ color: 0xff0000 }); // Red laser for the second laser
-
-// Laser 3
-let laserLine3;
-let laserOrigin3;
-let initialLaserDirection3;
-let laserTargetVertex3;
-let laserPulseIntensity3 = 1.0;
-const laserMaterial3 = new THREE.LineBasicMaterial({ color: 0xff0000 }); // Red laser for the third laser
-
-// Laser 4
-let laserLine4;
-let laserOrigin4;
-let initialLaserDirection4;
-let laserTargetVertex4;
-let laserPulseIntensity4 = 1.0;
-const laserMaterial4 = new THREE.LineBasicMaterial({ color: 0xff0000 }); // Red laser for the fourth laser
+let modelSampler = null; // Area-weighted surface points of the model, for laser targets
+let modelHelpers = []; // Helpers created for the current model, removed with it
+let modelLoadId = 0; // Incremented per loadModel call so a slow, superseded load can be discarded
 
 const interactiveObjects = []; // To store objects the laser can hit (currently just the model)
 
+applyLightSettings();
+if (settings.lights.preset !== 'none') {
+    lightingRig.transitionTo(settings.lights.preset, 0);
+}
+
+// Laser System Setup
+const laserSystem = new LaserSystem(scene, {
+    interactiveObjects,
+    color: settings.lasers.color,
+    maxBounces: settings.lasers.maxBounces,
+    maxLength: settings.lasers.maxLength,
+    transitionStyle: settings.lasers.transitionStyle,
+    transitionDuration: settings.lasers.transitionDuration,
+    transitionEasing: settings.lasers.transitionEasing,
+    targeting: new RandomTargeting({ random: randomStreams.lasers })
+});
+
+// Adds or removes lasers until there are lasers.count of them
+function syncLaserCount() {
+    while (laserSystem.lasers.length > settings.lasers.count) {
+        laserSystem.removeLaser(laserSystem.lasers[laserSystem.lasers.length - 1]);
+    }
+    while (laserSystem.lasers.length < settings.lasers.count) {
+        const laser = laserSystem.addLaser();
+        if (model) {
+            placeLaser(laser, getTargetingContext());
+        }
+    }
+}
+syncLaserCount();
+
+// Uniform origin on the laser sphere, within lasers.originCone degrees of the direction to the camera
+function pickLaserOrigin() {
+    return sampleSphere(controls.target, settings.lasers.sphereRadius, {
+        direction : new THREE.Vector3().subVectors(camera.position, controls.target),
+        maxAngle  : THREE.MathUtils.degToRad(settings.lasers.originCone),
+        rand      : randomStreams.lasers
+    });
+}
+
+// New origin and target for a laser, retrying pairs whose beam would be blocked or start in front of the camera
+function placeLaser(laser, context) {
+    laserSystem.place(laser, pickLaserOrigin, context, {
+        maxAttempts       : settings.lasers.placementAttempts,
+        minCameraDistance : settings.lasers.minCameraDistance
+    });
+}
+
+// Everything a targeting strategy may need to pick an aim point
+function getTargetingContext() {
+    return {
+        model,
+        vertices: modelVertices,
+        sampler: modelSampler,
+        targetFilter: settings.lasers.targetFilter,
+        center: controls.target,
+        camera
+    };
+}
+
+// Switches lasers to another targeting mode ('random', 'scan', 'cursor' or 'region') at runtime.
+// Without laserIndices every laser switches; the lasers passed in share one strategy instance.
+function setLaserTargeting(mode, options = {}, laserIndices = null) {
+    const targeting = createTargeting(mode, { element: renderer.domElement, random: randomStreams.lasers, ...options });
+    const lasers = laserIndices
+        ? laserIndices.map(index => laserSystem.lasers[index]).filter(Boolean)
+        : laserSystem.lasers;
+
+    lasers.forEach((laser) => {
+        laserSystem.setTargeting(laser, targeting);
+        if (model && laser.origin) {
+            laserSystem.retarget(laser, laser.origin, getTargetingContext());
+        }
+    });
+    return targeting;
+}
+
+if (settings.lasers.targeting !== 'random') {
+    setLaserTargeting(settings.lasers.targeting);
+}
+
+// Sparks and glows where the beams hit the model
+const impactEffects = new ImpactEffects(scene, { random: randomStreams.impacts });
+
 function adjustCameraForModel() {
     if (!model) return;
 
@@ -175,194 +267,217 @@ function adjustCameraForModel() {
     camera.updateProjectionMatrix();
 }
 
-const gltfLoader = new GLTFLoader();
-const modelUrl = 'HoodedCory_NewStart_NewHood_DecimatedCreasedHood-1.glb';
-
-// Laser Line Setup
-const laserMaterial = new THREE.LineBasicMaterial({ color: 0xff0000 }); // Red laser
-const points = [];
-// points.push(laserOrigin.clone()); // laserOrigin will be undefined here
-// points.push(laserOrigin.clone().add(initialLaserDirection.clone().multiplyScalar(MAX_LASER_LENGTH))); // Initial straight line
-const laserGeometry = new THREE.BufferGeometry().setFromPoints(points);
-laserLine = new THREE.Line(laserGeometry, laserMaterial);
-scene.add(laserLine);
-
-// Second Laser Line Setup
-const points2 = [];
-// points2.push(laserOrigin2.clone()); // laserOrigin2 will be undefined here
-// points2.push(laserOrigin2.clone().add(initialLaserDirection2.clone().multiplyScalar(MAX_LASER_LENGTH)));
-const laserGeometry2 = new THREE.BufferGeometry().setFromPoints(points2);
-laserLine2 = new THREE.Line(laserGeometry2, laserMaterial2);
-scene.add(laserLine2);
-
-// Third Laser Line Setup
-const points3 = [];
-// points3.push(laserOrigin3.clone()); // laserOrigin3 will be undefined here
-// points3.push(laserOrigin3.clone().add(initialLaserDirection3.clone().multiplyScalar(MAX_LASER_LENGTH)));
-const laserGeometry3 = new THREE.BufferGeometry().setFromPoints(points3);
-laserLine3 = new THREE.Line(laserGeometry3, laserMaterial3);
-scene.add(laserLine3);
-
-// Fourth Laser Line Setup
-const points4 = [];
-// points4.push(laserOrigin4.clone()); // laserOrigin4 will be undefined here
-// points4.push(laserOrigin4.clone().add(initialLaserDirection4.clone().multiplyScalar(MAX_LASER_LENGTH)));
-const laserGeometry4 = new THREE.BufferGeometry().setFromPoints(points4);
-laserLine4 = new THREE.Line(laserGeometry4, laserMaterial4);
-scene.add(laserLine4);
-
-gltfLoader.load(
-    modelUrl,
-    (gltf) => {
-        model = gltf.scene;
-
-        // Configure and attach the SpotLight to the model
-        const spotLightDownTargetObject = new THREE.Object3D();
-        model.add(spotLightDownTargetObject);
-        spotLightDownTargetObject.position.set(0, 0, 0);
-
-        spotLightDown.target = spotLightDownTargetObject;
-        model.add(spotLightDown);
-
-        // Optional: Add a helper to visualize the original SpotLight.
-        const spotLightDownHelper = new THREE.SpotLightHelper(spotLightDown);
-        scene.add(spotLightDownHelper);
-
-        // Configure and attach the New SpotLight to the model
-        const spotLightFaceTargetObject = new THREE.Object3D();
-        model.add(spotLightFaceTargetObject); // Add target as a child of the model.
-        spotLightFaceTargetObject.position.set(0, 0.4, 0.0); // Target position relative to the model.
-
-        spotLightFace.target = spotLightFaceTargetObject; // Aim the new spotlight at this target.
-        model.add(spotLightFace); // Add the new spotlight itself as a child of the model.
-        // Position the new spotlight relative to the model's local coordinates.
-        spotLightFace.position.set(0, -0.6, 0.5);
-
-        // Optional: Add a helper to visualize the New SpotLight.
-        const spotLightFaceHelper = new THREE.SpotLightHelper(spotLightFace);
-        scene.add(spotLightFaceHelper);
-
-        interactiveObjects.push(model); // Add model for laser interaction
-
-        adjustCameraForModel(); // Call this after model is processed
-
-        // Extract model vertices
-        model.updateMatrixWorld(true); // Ensure world matrices are up-to-date
-        model.traverse(function (child) {
-            if (child.isMesh) {
-                const positions = child.geometry.attributes.position;
-                const worldMatrix = child.matrixWorld;
-                for (let i = 0; i < positions.count; i++) {
-                    const localVertex = new THREE.Vector3().fromBufferAttribute(positions, i);
-                    const worldVertex = localVertex.applyMatrix4(worldMatrix);
-                    modelVertices.push(worldVertex);
-                }
-            }
-        });
-        console.log('Extracted ' + modelVertices.length + ' vertices from the model.');
-
-        initializeLasers(); // Initialize lasers now that model vertices are available
-    },
-    (xhr) => {
-        console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-    },
-    (error) => {
-        console.error('An error occurred loading the GLB model:', error);
-    }
-);
-
-function initializeLasers() {
-    if (modelVertices.length === 0) {
-        console.warn("initializeLasers called before model vertices were extracted. Lasers will use default initialization.");
-        // Default initialization if vertices aren't ready
-        laserOrigin1 = new THREE.Vector3(0,0,INVISIBLE_SPHERE_RADIUS); // Assign to laserOrigin1
-        laserTargetVertex1 = new THREE.Vector3();
-
-        laserOrigin2 = new THREE.Vector3(0,0,INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex2 = new THREE.Vector3();
+// Bundled models, selectable by name through ?model= or loadModel()
+const MODEL_LIBRARY = {
+    'hood': 'HoodedCory_NewStart_NewHood_DecimatedCreasedHood-1.glb',
+    'hood-darker': 'HoodedCory_NewHood_Darker.DecimatedFace.glb',
+    'cube': 'cube-beveled-silver.glb'
+};
+const DEFAULT_MODEL = 'hood';
 
-        laserOrigin3 = new THREE.Vector3(0,0,INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex3 = new THREE.Vector3();
-
-        laserOrigin4 = new THREE.Vector3(0,0,INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex4 = new THREE.Vector3();
+const gltfLoader = new GLTFLoader();
 
-    } else {
-        // Laser 1
-        laserOrigin1 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex1 = getRandomVertex(modelVertices);
+function resolveModelUrl(nameOrUrl) {
+    return MODEL_LIBRARY[nameOrUrl] || nameOrUrl;
+}
 
-        // Laser 2
-        laserOrigin2 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex2 = getRandomVertex(modelVertices);
+function disposeMaterial(material) {
+    Object.values(material).forEach((value) => {
+        if (value && value.isTexture) {
+            value.dispose();
+        }
+    });
+    material.dispose();
+}
 
-        // Laser 3
-        laserOrigin3 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex3 = getRandomVertex(modelVertices);
+function disposeObject(root) {
+    root.traverse((child) => {
+        if (child.geometry) {
+            child.geometry.dispose();
+        }
+        if (child.material) {
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(disposeMaterial);
+        }
+    });
+}
 
-        // Laser 4
-        laserOrigin4 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-        laserTargetVertex4 = getRandomVertex(modelVertices);
-    }
+// Removes the current model, its helpers and everything derived from it
+function disposeModel() {
+    if (!model) return;
 
-    // Common for all lasers, calculate initial directions
-    if (laserOrigin1 && laserTargetVertex1) initialLaserDirection1 = new THREE.Vector3().subVectors(laserTargetVertex1, laserOrigin1).normalize(); // Use laserOrigin1
-    else initialLaserDirection1 = new THREE.Vector3(0,0,-1);
+    // Detach the spotlights first, they are reused by the next model
+    model.remove(spotLightDown);
+    model.remove(spotLightFace);
+    if (spotLightDown.target.parent) spotLightDown.target.parent.remove(spotLightDown.target);
+    if (spotLightFace.target.parent) spotLightFace.target.parent.remove(spotLightFace.target);
+
+    modelHelpers.forEach((helper) => {
+        scene.remove(helper);
+        helper.dispose();
+    });
+    modelHelpers = [];
+
+    disposeRaycastAcceleration(model);
+    scene.remove(model);
+    disposeObject(model);
+
+    model = undefined;
+    modelVertices = [];
+    modelSampler = null;
+    interactiveObjects.length = 0; // Shared with the laser system, so empty it in place
+}
 
-    if (laserOrigin2 && laserTargetVertex2) initialLaserDirection2 = new THREE.Vector3().subVectors(laserTargetVertex2, laserOrigin2).normalize();
-    else initialLaserDirection2 = new THREE.Vector3(0,0,-1);
+function setupModel(modelScene) {
+    model = modelScene;
+
+    // Configure and attach the SpotLight to the model
+    const spotLightDownTargetObject = new THREE.Object3D();
+    model.add(spotLightDownTargetObject);
+    spotLightDownTargetObject.position.set(0, 0, 0);
+
+    spotLightDown.target = spotLightDownTargetObject;
+    model.add(spotLightDown);
+
+    // Optional: Add a helper to visualize the original SpotLight.
+    const spotLightDownHelper = new THREE.SpotLightHelper(spotLightDown);
+    spotLightDownHelper.visible = settings.lights.helpers;
+    scene.add(spotLightDownHelper);
+    modelHelpers.push(spotLightDownHelper);
+
+    // Configure and attach the New SpotLight to the model
+    const spotLightFaceTargetObject = new THREE.Object3D();
+    model.add(spotLightFaceTargetObject); // Add target as a child of the model.
+    spotLightFaceTargetObject.position.set(0, 0.4, 0.0); // Target position relative to the model.
+
+    spotLightFace.target = spotLightFaceTargetObject; // Aim the new spotlight at this target.
+    model.add(spotLightFace); // Add the new spotlight itself as a child of the model.
+    // Position the new spotlight relative to the model's local coordinates.
+    spotLightFace.position.set(0, -0.6, 0.5);
+
+    // Optional: Add a helper to visualize the New SpotLight.
+    const spotLightFaceHelper = new THREE.SpotLightHelper(spotLightFace);
+    spotLightFaceHelper.visible = settings.lights.helpers;
+    scene.add(spotLightFaceHelper);
+    modelHelpers.push(spotLightFaceHelper);
+
+    prepareOpticalMaterials(model); // Let refracting beams exit transmissive materials
+    interactiveObjects.push(model); // Add model for laser interaction
+
+    adjustCameraForModel(); // Call this after model is processed
+
+    // Extract model vertices
+    model.updateMatrixWorld(true); // Ensure world matrices are up-to-date
+    model.traverse(function (child) {
+        if (child.isMesh) {
+            const positions = child.geometry.attributes.position;
+            const worldMatrix = child.matrixWorld;
+            for (let i = 0; i < positions.count; i++) {
+                const localVertex = new THREE.Vector3().fromBufferAttribute(positions, i);
+                const worldVertex = localVertex.applyMatrix4(worldMatrix);
+                modelVertices.push(worldVertex);
+            }
+        }
+    });
+    console.log('Extracted ' + modelVertices.length + ' vertices from the model.');
 
-    if (laserOrigin3 && laserTargetVertex3) initialLaserDirection3 = new THREE.Vector3().subVectors(laserTargetVertex3, laserOrigin3).normalize();
-    else initialLaserDirection3 = new THREE.Vector3(0,0,-1);
+    // Build the BVH once per load, so laser raycasts don't test every triangle of the model each frame
+    const acceleratedMeshCount = buildRaycastAcceleration(model);
+    console.log('Built raycast acceleration for ' + acceleratedMeshCount + ' meshes.');
 
-    if (laserOrigin4 && laserTargetVertex4) initialLaserDirection4 = new THREE.Vector3().subVectors(laserTargetVertex4, laserOrigin4).normalize();
-    else initialLaserDirection4 = new THREE.Vector3(0,0,-1);
+    modelSampler = new SurfaceSampler(model);
 
-    console.log("Lasers initialized.");
+    placeTextSparks3D();
 }
 
-// Reusable Laser Update Function
-function updateLaserLineGeometry(laserLineObj, origin, direction, raycaster, interactiveObjectsArr, maxBounces, maxLaserLength) {
-    const points = [];
-    let currentOrigin = origin.clone();
-    let currentDirection = direction.clone();
+// Loads a GLB (a MODEL_LIBRARY name or a URL) and swaps it in for the current model without a page reload.
+// Shows the loading overlay while it downloads, as a banner when a model is already shown so the scene
+// stays usable (e.g. on Retry after a failed switch). Resolves with the new model, or null if another
+// loadModel call superseded this one; rejects if the file can't be loaded.
+function loadModel(nameOrUrl) {
+    const loadId = ++modelLoadId;
+    const url = resolveModelUrl(nameOrUrl);
+
+    loadingOverlay.showLoading('Loading model', !model);
+
+    return new Promise((resolve, reject) => {
+        gltfLoader.load(
+            url,
+            (gltf) => {
+                if (loadId !== modelLoadId) { // A newer load was requested meanwhile
+                    disposeObject(gltf.scene);
+                    resolve(null);
+                    return;
+                }
 
-    points.push(currentOrigin.clone());
+                disposeModel();
+                setupModel(gltf.scene);
+                initializeLasers(); // Initialize lasers now that model vertices are available
+                loadingOverlay.hide();
+                resolve(model);
+            },
+            (xhr) => {
+                if (loadId !== modelLoadId) return;
+                loadingOverlay.setProgress(xhr.loaded, xhr.lengthComputable ? xhr.total : 0); // total is 0 without a Content-Length
+            },
+            (error) => {
+                if (loadId !== modelLoadId) { // Superseded, its failure no longer matters
+                    resolve(null);
+                    return;
+                }
+                console.error('An error occurred loading the GLB model:', error);
+                reject(error);
+            }
+        );
+    });
+}
 
-    for (let i = 0; i < maxBounces; i++) {
-        raycaster.set(currentOrigin, currentDirection);
-        const intersects = raycaster.intersectObjects(interactiveObjectsArr, true);
+// loadModel with recovery: when it fails, the current model stays if there is one, otherwise
+// model.fallback is loaded. Either way the overlay offers a retry of the requested model.
+function loadModelOrFallback(nameOrUrl) {
+    const retry = () => loadModelOrFallback(nameOrUrl);
+    const fallback = settings.model.fallback;
 
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
-            const impactPoint = intersection.point;
-            points.push(impactPoint.clone());
+    return loadModel(nameOrUrl).catch((error) => {
+        const reason = error && error.message ? error.message : String(error);
 
-            const surfaceNormal = intersection.face.normal.clone();
-            const worldNormal = new THREE.Vector3();
-            worldNormal.copy(surfaceNormal).transformDirection(intersection.object.matrixWorld);
+        if (model) {
+            loadingOverlay.showNotice("Couldn't load '" + nameOrUrl + "' (" + reason + "), kept the current model.", retry);
+            return model;
+        }
+        if (!fallback || resolveModelUrl(fallback) === resolveModelUrl(nameOrUrl)) {
+            loadingOverlay.showError("Couldn't load the model (" + reason + ").", retry);
+            return null;
+        }
 
-            if (currentDirection.dot(worldNormal) > 0) {
-                worldNormal.negate();
+        console.warn("Loading the fallback model '" + fallback + "' instead.");
+        return loadModel(fallback).then((fallbackModel) => {
+            if (fallbackModel) {
+                loadingOverlay.showNotice("Couldn't load '" + nameOrUrl + "' (" + reason + "), showing a fallback model.", retry);
             }
+            return fallbackModel;
+        }, () => {
+            loadingOverlay.showError("Couldn't load the model or its fallback (" + reason + ").", retry);
+            return null;
+        });
+    });
+}
 
-            currentDirection.reflect(worldNormal);
-            currentOrigin.copy(impactPoint).add(currentDirection.clone().multiplyScalar(0.001)); // Offset for next ray
+loadModelOrFallback(settings.model.name || DEFAULT_MODEL);
 
-            if (i === maxBounces - 1) { // If it's the last bounce, draw the final segment
-                points.push(currentOrigin.clone().add(currentDirection.clone().multiplyScalar(maxLaserLength)));
-            }
-        } else {
-            points.push(currentOrigin.clone().add(currentDirection.clone().multiplyScalar(maxLaserLength)));
-            break;
-        }
+// Places every laser on the current model; lasers stay hidden (without an origin) until there is one
+function initializeLasers() {
+    if (!model || modelVertices.length === 0) {
+        console.warn("initializeLasers called without a loaded model. Lasers stay off until one loads.");
+        return;
     }
 
-    laserLineObj.geometry.setFromPoints(points);
-    laserLineObj.geometry.attributes.position.needsUpdate = true;
-}
+    laserSystem.lasers.forEach((laser) => {
+        placeLaser(laser, getTargetingContext());
+    });
 
-const rotationSpeed = (2 * Math.PI) / 12; // Radians per second
+    console.log("Lasers initialized.");
+}
 
 function handleLaserJumpLogic() {
     if (modelVertices.length === 0) {
@@ -374,44 +489,48 @@ function handleLaserJumpLogic() {
 
     // console.log("Lasers are JUMPING!"); // For debugging
 
-    // Laser 1
-    laserOrigin1 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-    laserTargetVertex1 = getRandomVertex(modelVertices);
-    if (laserOrigin1 && laserTargetVertex1 && initialLaserDirection1) { // Ensure all are valid before calculating direction
-         initialLaserDirection1.subVectors(laserTargetVertex1, laserOrigin1).normalize();
-    } else if (initialLaserDirection1) { // Fallback if origin/target somehow invalid but direction vector exists
-        initialLaserDirection1.set(0,0,-1); // Default direction
-    }
+    retargetLasers();
+    advanceJumpPreset();
+    sceneEvents.emit('laserJump', { lasers: laserSystem.lasers });
+}
 
-    // Laser 2
-    laserOrigin2 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-    laserTargetVertex2 = getRandomVertex(modelVertices);
-    if (laserOrigin2 && laserTargetVertex2 && initialLaserDirection2) {
-        initialLaserDirection2.subVectors(laserTargetVertex2, laserOrigin2).normalize();
-    } else if (initialLaserDirection2) {
-        initialLaserDirection2.set(0,0,-1);
-    }
+// Moves every laser to a new origin and target
+function retargetLasers() {
+    if (modelVertices.length === 0) return;
 
-    // Laser 3
-    laserOrigin3 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-    laserTargetVertex3 = getRandomVertex(modelVertices);
-    if (laserOrigin3 && laserTargetVertex3 && initialLaserDirection3) {
-        initialLaserDirection3.subVectors(laserTargetVertex3, laserOrigin3).normalize();
-    } else if (initialLaserDirection3) {
-        initialLaserDirection3.set(0,0,-1);
-    }
+    const context = getTargetingContext();
+    laserSystem.lasers.forEach((laser) => {
+        placeLaser(laser, context);
+    });
+}
 
-    // Laser 4
-    laserOrigin4 = getRandomPointOnSphere(controls.target, INVISIBLE_SPHERE_RADIUS);
-    laserTargetVertex4 = getRandomVertex(modelVertices);
-    if (laserOrigin4 && laserTargetVertex4 && initialLaserDirection4) {
-        initialLaserDirection4.subVectors(laserTargetVertex4, laserOrigin4).normalize();
-    } else if (initialLaserDirection4) {
-        initialLaserDirection4.set(0,0,-1);
-    }
+// Camera Movement Tracking
+const cameraMotionTracker = new CameraMotionTracker(camera);
+let currentCameraSpeed = 0; // Latest 'speed' event, drives the pulse frequency
+
+// Copies the camera.* settings onto the tracker, again whenever one of them changes
+function applyCameraSettings() {
+    cameraMotionTracker.rotationThreshold = THREE.MathUtils.degToRad(settings.camera.rotationThreshold);
+    cameraMotionTracker.positionThreshold = settings.camera.positionThreshold;
+    cameraMotionTracker.stillnessLimit = settings.camera.stillnessLimit;
 }
+applyCameraSettings();
+
+cameraMotionTracker.on('moved', handleLaserJumpLogic); // Significant movement re-targets the lasers
+cameraMotionTracker.on('still', handleLaserJumpLogic); // So does holding still for camera.stillnessLimit
+cameraMotionTracker.on('speed', ({ speed }) => {
+    currentCameraSpeed = speed;
+});
 
-// Animation Loop
+// Set up once the page has loaded, see startTextSparks below. Driven by the animation loop.
+let textSparksInstance = null;
+
+// Pulse peak detection for the 'pulsePeak' event
+const laserPulse = new SafePulse(); // Caps the flash rate, see photosensitivity.js
+let lastPulseIntensity = 0;
+let pulseRising = false;
+
+// Animation Loop, the only requestAnimationFrame loop on the page
 function animate() {
     const deltaTime = clock.getDelta(); // Get time elapsed since last frame
     requestAnimationFrame(animate);
@@ -420,135 +539,46 @@ function animate() {
         controls.update();
     }
 
-    // Initialize deltaRotation and deltaPosition to ensure they are defined in the animate scope
-    let deltaRotation = 0;
-    let deltaPosition = 0;
-
-    // Camera stillness/movement detection
-    if (camera && previousCameraPosition && previousCameraQuaternion) { // Ensure camera is available
-        // Initialize previous states on the first valid frame
-        if (previousCameraPosition.lengthSq() === 0 && previousCameraQuaternion.x === 0 && previousCameraQuaternion.y === 0 && previousCameraQuaternion.z === 0 && previousCameraQuaternion.w === 1) {
-            previousCameraPosition.copy(camera.position);
-            previousCameraQuaternion.copy(camera.quaternion);
-        }
+    // Camera stillness/movement detection, fires the 'moved', 'still' and 'speed' events subscribed above
+    cameraMotionTracker.update(deltaTime);
 
-        // Calculate actual deltas if previous state is valid
-        deltaRotation = previousCameraQuaternion.angleTo(camera.quaternion);
-        deltaPosition = previousCameraPosition.distanceTo(camera.position);
-        let hasCameraMovedSignificantly = false;
-
-        if (deltaRotation > CAMERA_ROTATION_THRESHOLD || deltaPosition > CAMERA_POSITION_THRESHOLD) {
-            stillnessTimer = 0;
-            hasCameraMovedSignificantly = true;
-            // console.log("Camera moved significantly: Rotation or Position delta exceeded threshold.");
-        } else {
-            stillnessTimer += deltaTime;
-            if (stillnessTimer >= STILLNESS_LIMIT) {
-                stillnessTimer = 0; // Reset timer
-                hasCameraMovedSignificantly = true; // Trigger jump due to stillness
-                // console.log("Stillness limit reached, triggering jump.");
-            }
-        }
-
-        if (hasCameraMovedSignificantly) {
-            if (typeof handleLaserJumpLogic === 'function') {
-                handleLaserJumpLogic();
-            } else {
-                // This console log is useful if handleLaserJumpLogic is not yet defined
-                // console.log("Camera moved significantly or stillness limit reached: handleLaserJumpLogic() would be called here.");
-            }
-        }
-
-        // Update previous state for next frame
-        previousCameraPosition.copy(camera.position);
-        previousCameraQuaternion.copy(camera.quaternion);
+    if (lightingRig.transition) {
+        lightingRig.update(deltaTime);
+        modelHelpers.forEach(helper => helper.update()); // Spotlight cones may be changing
     }
 
-
     if (model) { // Check if the model is loaded
+        laserSystem.updateTargets(getTargetingContext(), deltaTime); // Continuous targeting modes move their aim every frame
     }
 
-    // Camera-parenting logic for laser origins - REMOVED
-    // const worldLaserOrigin1 = new THREE.Vector3();
-    // worldLaserOrigin1.copy(laserOffset1);
-    // worldLaserOrigin1.applyMatrix4(camera.matrixWorld);
-    // laserOrigin = worldLaserOrigin1;
-    //
-    // const worldLaserOrigin2 = new THREE.Vector3();
-    // worldLaserOrigin2.copy(laserOffset2);
-    // worldLaserOrigin2.applyMatrix4(camera.matrixWorld);
-    // laserOrigin2 = worldLaserOrigin2;
-    //
-    // const worldLaserOrigin3 = new THREE.Vector3();
-    // worldLaserOrigin3.copy(laserOffset3);
-    // worldLaserOrigin3.applyMatrix4(camera.matrixWorld);
-    // laserOrigin3 = worldLaserOrigin3;
-    //
-    // const worldLaserOrigin4 = new THREE.Vector3();
-    // worldLaserOrigin4.copy(laserOffset4);
-    // worldLaserOrigin4.applyMatrix4(camera.matrixWorld);
-    // laserOrigin4 = worldLaserOrigin4;
-
-    // Update laser directions to point from new origins to control target
-    // This will be updated in the next step based on new origin calculation method
-    // For now, direction calculation is handled by initializeLasers and handleLaserJumpLogic
-    // if (laserOrigin && controls.target) { // Temporary check
-    //     const direction1 = new THREE.Vector3();
-    //     direction1.subVectors(controls.target, laserOrigin).normalize();
-    //     initialLaserDirection = direction1;
-    // }
-    // ... (similar for other lasers) ...
-
-
     // Laser Pulsing Logic
-    // Note: deltaPosition and deltaRotation are available from the camera tracking logic block above
-    let cameraSpeed = 0;
-    if (deltaTime > 0) { // deltaTime is from clock.getDelta() at the start of animate()
-        // Simple speed estimation based on change in position and rotation
-        cameraSpeed = (deltaPosition / deltaTime) + (deltaRotation / deltaTime);
-    }
-    // Clamp cameraSpeed to prevent excessively fast pulsing, e.g., on first frame or after a lag spike
-    cameraSpeed = Math.min(cameraSpeed, 10.0);
+    // Clamp cameraSpeed to prevent excessively fast pulsing, e.g. after a lag spike
+    const cameraSpeed = Math.min(currentCameraSpeed, settings.pulse.maxCameraSpeed);
 
-    const currentPulseFrequency = BASE_PULSE_FREQUENCY + (cameraSpeed * PULSE_FREQUENCY_SENSITIVITY);
+    const currentPulseFrequency = settings.pulse.baseFrequency + (cameraSpeed * settings.pulse.frequencySensitivity);
 
-    // Calculate a single pulse intensity to be used by all lasers for synchronization
-    const sharedPulseIntensity = (Math.sin(clock.elapsedTime * currentPulseFrequency * Math.PI * 2) + 1) / 2; // Results in range [0, 1]
+    // Calculate a single pulse intensity to be used by all lasers for synchronization.
+    // At most 3 Hz (less in calm mode) however fast the camera moves, within [0, 1].
+    const sharedPulseIntensity = laserPulse.update(currentPulseFrequency, deltaTime);
 
-    // Assign to individual laser pulse intensities (can be used for other effects if needed)
-    laserPulseIntensity1 = sharedPulseIntensity;
-    laserPulseIntensity2 = sharedPulseIntensity;
-    laserPulseIntensity3 = sharedPulseIntensity;
-    laserPulseIntensity4 = sharedPulseIntensity;
+    // The pulse peaked on the previous frame if it was rising and now falls
+    if (pulseRising && sharedPulseIntensity < lastPulseIntensity) {
+        sceneEvents.emit('pulsePeak', { intensity: lastPulseIntensity, frequency: currentPulseFrequency });
+    }
+    pulseRising = sharedPulseIntensity > lastPulseIntensity;
+    lastPulseIntensity = sharedPulseIntensity;
 
-    // Apply pulsing to laser materials by modulating color brightness
-    const brightnessScalar = MIN_LASER_BRIGHTNESS + (sharedPulseIntensity * (MAX_LASER_BRIGHTNESS - MIN_LASER_BRIGHTNESS));
+    // Apply pulsing to laser materials by modulating color brightness, with the swing capped (less in calm mode)
+    const brightness = limitBrightnessRange(settings.pulse.minBrightness, settings.pulse.maxBrightness);
+    const brightnessScalar = brightness.min + (sharedPulseIntensity * (brightness.max - brightness.min));
+    laserSystem.setPulse(sharedPulseIntensity, brightnessScalar);
 
-    if (laserLine.material) {
-        laserLine.material.color.setHex(0xff0000).multiplyScalar(brightnessScalar);
-    }
-    if (laserLine2.material) {
-        laserLine2.material.color.setHex(0xff0000).multiplyScalar(brightnessScalar);
-    }
-    if (laserLine3.material) {
-        laserLine3.material.color.setHex(0xff0000).multiplyScalar(brightnessScalar);
-    }
-    if (laserLine4.material) {
-        laserLine4.material.color.setHex(0xff0000).multiplyScalar(brightnessScalar);
-    }
+    // Update all laser lines, advancing any jump transitions
+    laserSystem.update(deltaTime);
+    impactEffects.update(laserSystem.hits, sharedPulseIntensity, deltaTime);
 
-    // Update all laser lines using the new reusable function
-    if (laserOrigin1 && initialLaserDirection1) { // Ensure origin and direction are calculated for laser 1
-        updateLaserLineGeometry(laserLine, laserOrigin1, initialLaserDirection1, laserRaycaster, interactiveObjects, MAX_BOUNCES, MAX_LASER_LENGTH);
-    }
-    if (laserOrigin2 && initialLaserDirection2) {
-        updateLaserLineGeometry(laserLine2, laserOrigin2, initialLaserDirection2, laserRaycaster, interactiveObjects, MAX_BOUNCES, MAX_LASER_LENGTH);
-    }
-    if (laserOrigin3 && initialLaserDirection3) {
-        updateLaserLineGeometry(laserLine3, laserOrigin3, initialLaserDirection3, laserRaycaster, interactiveObjects, MAX_BOUNCES, MAX_LASER_LENGTH);
-    }
-    if (laserOrigin4 && initialLaserDirection4) {
-        updateLaserLineGeometry(laserLine4, laserOrigin4, initialLaserDirection4, laserRaycaster, interactiveObjects, MAX_BOUNCES, MAX_LASER_LENGTH);
+    if (textSparksInstance) {
+        textSparksInstance.tick(deltaTime * 1000);
     }
 
     renderer.render(scene, camera);
@@ -567,7 +597,144 @@ window.addEventListener('resize', () => {
 });
 
 // Initialize and run the text sparks animation
-document.addEventListener('DOMContentLoaded', () => {
-    const textSparksInstance = new TextSparks();
+function startTextSparks() {
+    const options = {
+        particlesPerFrame: settings.textSparks.particlesPerFrame,
+        maxParticles: settings.textSparks.maxParticles,
+        height: settings.textSparks.height,
+        heightRatio: settings.textSparks.heightRatio,
+        interaction: settings.textSparks.interaction,
+        pointerRadius: settings.textSparks.pointerRadius,
+        pointerStrength: settings.textSparks.pointerStrength,
+        returnSpeed: settings.textSparks.returnSpeed,
+        externalLoop: true, // Ticked from animate()
+        random: randomStreams.textSparks,
+        onMaskShown: (stackEntry, index) => {
+            if (stackEntry.lighting) { // <ul data-lighting="..."> switches the lighting with the text
+                setLightingPreset(stackEntry.lighting);
+            }
+            sceneEvents.emit('maskShown', { entry: stackEntry, index });
+        },
+        onMaskHidden: (stackEntry, index) => {
+            sceneEvents.emit('maskHidden', { entry: stackEntry, index });
+        }
+    };
+
+    const canvas = document.querySelector('#text-spark-canvas');
+    if (settings.textSparks.mode === '3d') {
+        textSparksInstance = new TextSparks3D(scene, options);
+        if (canvas) canvas.style.display = 'none';
+        placeTextSparks3D();
+    } else {
+        if (canvas) canvas.style.display = '';
+        textSparksInstance = new TextSparks(options);
+    }
     textSparksInstance.run();
+}
+
+// Floats the 3D text above the model like a halo, a little wider than the model
+function placeTextSparks3D() {
+    if (!(textSparksInstance instanceof TextSparks3D) || !model) return;
+
+    const box = new THREE.Box3().setFromObject(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+
+    textSparksInstance.worldWidth = size.x * 1.5;
+    textSparksInstance.object.position.set(center.x, box.max.y + size.y * 0.2, center.z);
+}
+
+// Reactions between the effects, switchable through events.*
+let lastJumpBurstTime = -Infinity; // clock.elapsedTime of the last jump burst
+sceneEvents.on('laserJump', () => {
+    if (!settings.events.burstOnJump || !textSparksInstance) return;
+    // The tracker's `moved` event jumps the lasers every frame while orbiting fast, unthrottled bursts would fill the spark pool
+    if (clock.elapsedTime - lastJumpBurstTime < settings.events.jumpInterval) return;
+    lastJumpBurstTime = clock.elapsedTime;
+    textSparksInstance.emitFromMask(settings.events.burstSize);
 });
+sceneEvents.on('maskShown', () => {
+    if (settings.events.retargetOnMask) {
+        retargetLasers();
+    }
+});
+
+// Loading the config may take longer than parsing the page, so DOMContentLoaded could already be gone
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startTextSparks);
+} else {
+    startTextSparks();
+}
+
+// Tweak Panel & Live Config Changes
+let tweakPanel = null;
+
+function applyTweakPanelSetting() {
+    if (settings.ui.tweakPanel && !tweakPanel) {
+        tweakPanel = createTweakPanel(config);
+    } else if (tweakPanel) {
+        tweakPanel.style.display = settings.ui.tweakPanel ? '' : 'none';
+    }
+}
+applyTweakPanelSetting();
+
+// Values read when used (pulse.*, events.*, lasers.sphereRadius and the other placement settings) need no handling here
+config.onChange((key, value) => {
+    if (key.startsWith('camera.')) {
+        applyCameraSettings();
+    } else if (key === 'safety.calmMode') {
+        setCalmMode(value);
+    } else if (key === 'lights.preset') {
+        if (value !== 'none') setLightingPreset(value);
+    } else if (key === 'lights.transitionDuration' || key === 'lights.jumpPresets') {
+        // Read when the next transition starts
+    } else if (key.startsWith('lights.')) {
+        applyLightSetting(key);
+    } else if (key === 'lasers.count') {
+        syncLaserCount();
+    } else if (key === 'lasers.color') {
+        laserSystem.defaults.color = value;
+        laserSystem.lasers.forEach(laser => laserSystem.setLaserColor(laser, value));
+    } else if (key === 'lasers.maxLength' || key === 'lasers.maxBounces') {
+        const property = key.split('.')[1];
+        laserSystem.defaults[property] = value;
+        laserSystem.lasers.forEach((laser) => {
+            laser[property] = value;
+        });
+    } else if (key.startsWith('lasers.transition')) {
+        laserSystem.defaults[key.split('.')[1]] = value; // Used from the next jump on
+    } else if (key === 'lasers.targeting') {
+        setLaserTargeting(value);
+    } else if (key === 'model.name') {
+        loadModelOrFallback(value);
+    } else if (key === 'textSparks.particlesPerFrame' && textSparksInstance) {
+        textSparksInstance.particlesPerFrame = value;
+    } else if (key === 'textSparks.maxParticles' && textSparksInstance) {
+        textSparksInstance.setMaxParticles(value);
+    } else if (key === 'textSparks.height' && textSparksInstance) {
+        textSparksInstance.canvasHeight = value;
+        textSparksInstance.resize();
+    } else if (key === 'textSparks.heightRatio' && textSparksInstance) {
+        textSparksInstance.heightRatio = value;
+        textSparksInstance.resize();
+    } else if (key === 'textSparks.mode' && textSparksInstance) {
+        textSparksInstance.destroy();
+        startTextSparks();
+    } else if (key === 'textSparks.interaction' && textSparksInstance) {
+        textSparksInstance.setInteraction(value);
+    } else if ((key === 'textSparks.pointerRadius' || key === 'textSparks.pointerStrength' || key === 'textSparks.returnSpeed') && textSparksInstance) {
+        textSparksInstance[key.split('.')[1]] = value;
+    } else if (key === 'ui.tweakPanel') {
+        applyTweakPanelSetting();
+    }
+});
+
+// Programmatic API for the page and the browser console, e.g. landing.loadModel('cube'). main.js is the
+// page's entry script, so nothing can import from it; window.landing is the one place these are reachable.
+window.landing = {
+    loadModel,
+    setLightingPreset,
+    setLaserTargeting,
+    events : sceneEvents,
+    config
+};
@@ -0,0 +1,76 @@
+// Fixed-capacity particle storage for TextSparks.
+// Every particle attribute lives in its own typed array, indexed by slot. Live particles are packed
+// into slots [0, count): updates walk a dense range, and removing a particle moves the last one into
+// its slot. Nothing is allocated after construction, so emitting and expiring sparks creates no garbage.
+
+export class ParticlePool
+{
+    constructor(capacity) {
+        this.count = 0;
+        this.allocate(capacity);
+    }
+
+    allocate(capacity) {
+        this.capacity = Math.max(0, capacity | 0);
+
+        this.x      = new Float32Array(this.capacity); // Position as a fraction of the canvas size
+        this.y      = new Float32Array(this.capacity);
+        this.mx     = new Float32Array(this.capacity); // Movement per frame, same units
+        this.my     = new Float32Array(this.capacity);
+        this.z      = new Float32Array(this.capacity); // Depth, only used by TextSparks3D
+        this.mz     = new Float32Array(this.capacity);
+        this.dx     = new Float32Array(this.capacity); // Pointer displacement in CSS pixels, springs back to 0
+        this.dy     = new Float32Array(this.capacity);
+        this.life   = new Float32Array(this.capacity); // 0 at birth, expires at 1
+        this.speed  = new Float32Array(this.capacity); // Life gained per frame
+        this.size   = new Uint8Array(this.capacity); // Square size in pixels
+        this.letter = new Uint16Array(this.capacity); // Segment of the mask the particle came from
+        this.hsl    = new Array(this.capacity).fill(null); // Color of that segment, kept if the mask changes
+    }
+
+    // Changes the capacity, keeping as many live particles as still fit
+    resize(capacity) {
+        const kept   = Math.min(this.count, Math.max(0, capacity | 0));
+        const arrays = ['x', 'y', 'mx', 'my', 'z', 'mz', 'dx', 'dy', 'life', 'speed', 'size', 'letter'].map(name => [name, this[name]]);
+        const hsl    = this.hsl;
+
+        this.allocate(capacity);
+        arrays.forEach(([name, array]) => this[name].set(array.subarray(0, kept)));
+        for (let i = 0; i < kept; i++) {
+            this.hsl[i] = hsl[i];
+        }
+        this.count = kept;
+    }
+
+    // Claims a slot and returns its index, or -1 when the pool is full
+    spawn() {
+        if (this.count >= this.capacity) return -1;
+        return this.count++;
+    }
+
+    // Frees a slot by moving the last live particle into it
+    remove(slot) {
+        const last = --this.count;
+        if (slot !== last) {
+            this.x[slot]      = this.x[last];
+            this.y[slot]      = this.y[last];
+            this.mx[slot]     = this.mx[last];
+            this.my[slot]     = this.my[last];
+            this.z[slot]      = this.z[last];
+            this.mz[slot]     = this.mz[last];
+            this.dx[slot]     = this.dx[last];
+            this.dy[slot]     = this.dy[last];
+            this.life[slot]   = this.life[last];
+            this.speed[slot]  = this.speed[last];
+            this.size[slot]   = this.size[last];
+            this.letter[slot] = this.letter[last];
+            this.hsl[slot]    = this.hsl[last];
+        }
+        this.hsl[last] = null;
+    }
+
+    clear() {
+        this.hsl.fill(null, 0, this.count);
+        this.count = 0;
+    }
+}
@@ -0,0 +1,61 @@
+// Photosensitivity safeguard shared by everything that pulses or flickers: the laser pulse, the impact
+// glows and the text spark shimmer. Following the WCAG general flash threshold nothing may flash more
+// than three times per second, and the brightness swing of a pulse is capped too. Calm mode tightens
+// both limits; it is on when the visitor prefers reduced motion, or through safety.calmMode (?calm).
+
+export const MAX_FLASH_FREQUENCY = 3; // Hz, never exceeded whatever the camera does
+export const MAX_LUMINANCE_SWING = 0.7; // Largest brightness difference between the top and bottom of a pulse (0-1)
+const CALM_FLASH_FREQUENCY = 0.5;
+const CALM_LUMINANCE_SWING = 0.2;
+
+const reducedMotionQuery = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let calmMode = false;
+
+export function setCalmMode(enabled) {
+    calmMode = !!enabled;
+}
+
+export function prefersReducedMotion() {
+    return !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+// Read live, so changing the system setting takes effect without a reload
+export function isCalm() {
+    return calmMode || prefersReducedMotion();
+}
+
+// The limits in force right now: { maxFrequency (Hz), maxSwing (0-1) }
+export function getFlashLimits() {
+    return isCalm()
+        ? { maxFrequency: CALM_FLASH_FREQUENCY, maxSwing: CALM_LUMINANCE_SWING }
+        : { maxFrequency: MAX_FLASH_FREQUENCY, maxSwing: MAX_LUMINANCE_SWING };
+}
+
+// Brightness range for a pulse: the top stays, the bottom is raised until the swing is within
+// limits.maxSwing. Map a SafePulse intensity onto it, e.g. min + intensity * (max - min).
+export function limitBrightnessRange(minBrightness, maxBrightness, limits = getFlashLimits()) {
+    return {
+        min : Math.min(maxBrightness, Math.max(minBrightness, maxBrightness - limits.maxSwing)),
+        max : maxBrightness
+    };
+}
+
+// A sine pulse within the flash frequency limit. The phase is accumulated frame by frame, so a changing
+// frequency never makes the pulse jump. The intensity spans [0, 1]; the brightness swing is capped
+// where it becomes a brightness, see limitBrightnessRange.
+export class SafePulse
+{
+    constructor() {
+        this.phase     = 0; // Cycles, kept in [0, 1)
+        this.frequency = 0; // Frequency actually used by the last update, after capping
+    }
+
+    // Advances by deltaTime seconds at the requested frequency and returns the intensity
+    update(frequency, deltaTime) {
+        const limits = getFlashLimits();
+        this.frequency = Math.min(Math.max(0, frequency), limits.maxFrequency);
+        this.phase     = (this.phase + this.frequency * Math.max(0, deltaTime)) % 1;
+
+        return (Math.sin(this.phase * Math.PI * 2) + 1) / 2;
+    }
+}
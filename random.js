@@ -0,0 +1,59 @@
+// Seedable random numbers for every random decision in the scene (laser origins and targets, spark
+// layouts, impact sparks). By default it is Math.random; setRandomSeed makes runs reproducible, which
+// main.js does for ?seed=<number or text>. Classes also accept their own source through options.random,
+// which main.js fills with createStream so each subsystem draws from its own sequence.
+
+// mulberry32: small, fast and good enough for visuals. Returns a function yielding [0, 1).
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Turns any seed text into a 32-bit seed; integer strings are used as they are
+export function hashSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+    let hash = 2166136261; // FNV-1a
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+let source = Math.random;
+let currentSeed = null;
+
+// The shared source every module falls back to
+export function random() {
+    return source();
+}
+
+// null or undefined goes back to Math.random
+export function setRandomSeed(seed) {
+    if (seed === null || seed === undefined) {
+        source = Math.random;
+        currentSeed = null;
+        return;
+    }
+    currentSeed = hashSeed(seed);
+    source = createRandom(currentSeed);
+}
+
+export function getRandomSeed() {
+    return currentSeed;
+}
+
+// A source for one subsystem (e.g. 'lasers'), derived from the seed and the name. Its draws do not
+// shift the other subsystems' sequences, so a seed keeps the laser layout when the spark count changes.
+// Without a seed it is the shared source.
+export function createStream(name) {
+    if (currentSeed === null) return random;
+    return createRandom(currentSeed ^ hashSeed(name));
+}
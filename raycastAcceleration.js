@@ -0,0 +1,35 @@
+import { MeshBVH, acceleratedRaycast } from 'three-mesh-bvh';
+
+// Builds a BVH for every mesh under root and switches those meshes to the accelerated raycast.
+// Only the meshes themselves are patched, so anything else in the scene keeps three.js' default
+// brute-force raycast. Returns the number of meshes that were accelerated.
+export function buildRaycastAcceleration(root) {
+    let meshCount = 0;
+
+    root.traverse((child) => {
+        if (!child.isMesh || child.isSkinnedMesh || child.isInstancedMesh) return; // BVH covers static geometry only
+        if (!child.geometry.attributes.position) return;
+
+        if (!child.geometry.boundsTree) {
+            child.geometry.boundsTree = new MeshBVH(child.geometry);
+        }
+        child.raycast = acceleratedRaycast;
+        meshCount++;
+    });
+
+    return meshCount;
+}
+
+// Reverts buildRaycastAcceleration, e.g. before the geometry is disposed or edited
+export function disposeRaycastAcceleration(root) {
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+
+        if (child.hasOwnProperty('raycast')) {
+            delete child.raycast; // Fall back to THREE.Mesh.prototype.raycast
+        }
+        if (child.geometry && child.geometry.boundsTree) {
+            child.geometry.boundsTree = null;
+        }
+    });
+}
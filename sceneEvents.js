@@ -0,0 +1,9 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// Scene-wide event bus, so the lasers, the text sparks and the host page can react to each other
+// without knowing about one another. Events and their payloads:
+//   laserJump  : { lasers }               every laser picked a new target (camera moved or came to rest)
+//   maskShown  : { entry, index }         a TextSparks message starts its entrance
+//   maskHidden : { entry, index }         a TextSparks message has fully left
+//   pulsePeak  : { intensity, frequency } the shared laser pulse reached its maximum
+export const sceneEvents = new EventEmitter();
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { random } from './random.js';
+
+// Sampling for laser placement: uniform origins on a sphere, and target points spread evenly over a
+// model's surface instead of over its vertices (densely meshed areas no longer attract most beams).
+
+const DEFAULT_MAX_ATTEMPTS = 24; // Rejection-sampling tries before a filtered sample gives up
+const VISIBILITY_TOLERANCE = 1e-3; // How much closer than the sample a hit may be and still count as the sample
+
+const _up = new THREE.Vector3(0, 0, 1);
+const _rotation = new THREE.Quaternion();
+
+// Uniform point on a sphere around `center`.
+// options: {
+//     direction : THREE.Vector3, axis of the allowed cone (e.g. from the center towards the camera)
+//     maxAngle  : half-angle of the cone in radians; Math.PI / 2 is a hemisphere, Math.PI the whole sphere
+//     rand      : () => [0, 1) source, see random.js
+// }
+export function sampleSphere(center, radius, options = {}) {
+    const rand     = options.rand || random;
+    const maxAngle = options.direction && options.maxAngle !== undefined ? THREE.MathUtils.clamp(options.maxAngle, 0, Math.PI) : Math.PI;
+
+    // Uniform in cos(theta) over [cos(maxAngle), 1] is uniform over the spherical cap's area
+    const cosTheta = 1 - rand() * (1 - Math.cos(maxAngle));
+    const sinTheta = Math.sqrt(Math.max(0, 1 - cosTheta * cosTheta));
+    const phi      = rand() * Math.PI * 2;
+    const point    = new THREE.Vector3(sinTheta * Math.cos(phi), sinTheta * Math.sin(phi), cosTheta);
+
+    if (options.direction && options.direction.lengthSq() > 0) {
+        _rotation.setFromUnitVectors(_up, options.direction.clone().normalize());
+        point.applyQuaternion(_rotation);
+    }
+    return point.multiplyScalar(radius).add(center);
+}
+
+// Area-weighted random points on the triangles of one or more objects, in world coordinates.
+// Build it once per model (after its world matrices are final); it keeps a copy of the triangles.
+export class SurfaceSampler
+{
+    constructor(roots) {
+        const triangles = [];
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+
+        (Array.isArray(roots) ? roots : [roots]).forEach((root) => {
+            root.updateMatrixWorld(true);
+            root.traverse((child) => {
+                if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+
+                const positions = child.geometry.attributes.position;
+                const index     = child.geometry.index;
+                const count     = index ? index.count : positions.count;
+
+                for (let i = 0; i + 2 < count; i += 3) {
+                    a.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+                    b.fromBufferAttribute(positions, index ? index.getX(i + 1) : i + 1).applyMatrix4(child.matrixWorld);
+                    c.fromBufferAttribute(positions, index ? index.getX(i + 2) : i + 2).applyMatrix4(child.matrixWorld);
+                    triangles.push(new THREE.Triangle(a.clone(), b.clone(), c.clone()));
+                }
+            });
+        });
+
+        this.triangles  = triangles;
+        this.cumulative = new Float64Array(triangles.length); // Running total of the areas, for binary search
+        let total = 0;
+        triangles.forEach((triangle, i) => {
+            total += triangle.getArea();
+            this.cumulative[i] = total;
+        });
+        this.totalArea = total;
+
+        this.raycaster = new THREE.Raycaster();
+        this.raycaster.firstHitOnly = true;
+    }
+
+    get isEmpty() {
+        return this.totalArea === 0;
+    }
+
+    // Picks a triangle with probability proportional to its area
+    pickTriangle(rand) {
+        const target = rand() * this.totalArea;
+        let low = 0;
+        let high = this.cumulative.length - 1;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.cumulative[middle] < target) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return this.triangles[low];
+    }
+
+    // One unfiltered sample: { point, normal } with the triangle's world normal
+    sampleOnce(rand) {
+        const triangle = this.pickTriangle(rand);
+
+        // Uniform barycentric coordinates: fold the unit square onto the triangle
+        let u = rand();
+        let v = rand();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        const point = new THREE.Vector3()
+            .copy(triangle.a)
+            .addScaledVector(new THREE.Vector3().subVectors(triangle.b, triangle.a), u)
+            .addScaledVector(new THREE.Vector3().subVectors(triangle.c, triangle.a), v);
+
+        return { point, normal: triangle.getNormal(new THREE.Vector3()) };
+    }
+
+    // Whether nothing in `occluders` lies between `from` and `sample.point`
+    isVisible(sample, from, occluders) {
+        const toPoint  = new THREE.Vector3().subVectors(sample.point, from);
+        const distance = toPoint.length();
+        if (distance === 0) return true;
+
+        this.raycaster.set(from, toPoint.divideScalar(distance));
+        this.raycaster.far = distance + VISIBILITY_TOLERANCE;
+        const hits = this.raycaster.intersectObjects(Array.isArray(occluders) ? occluders : [occluders], true);
+        return hits.length === 0 || hits[0].distance >= distance - VISIBILITY_TOLERANCE * Math.max(1, distance);
+    }
+
+    // Samples a point, rejecting candidates that fail the filters. Returns { point, normal }, or null
+    // when the model has no surface or no candidate passed within maxAttempts.
+    // options: {
+    //     rand        : () => [0, 1) source
+    //     facing      : THREE.Vector3 (e.g. the camera position); keeps triangles whose front faces it
+    //     visibleFrom : THREE.Vector3 (e.g. the laser origin); keeps points with a clear line of sight
+    //     occluders   : objects tested by visibleFrom, required with it (usually the model)
+    //     accept      : (sample) => boolean, any extra test
+    //     maxAttempts
+    // }
+    sample(options = {}) {
+        if (this.isEmpty) return null;
+
+        const rand        = options.rand || random;
+        const maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        const toViewer    = new THREE.Vector3();
+
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const candidate = this.sampleOnce(rand);
+
+            if (options.facing && toViewer.subVectors(options.facing, candidate.point).dot(candidate.normal) <= 0) continue;
+            if (options.visibleFrom && options.occluders && !this.isVisible(candidate, options.visibleFrom, options.occluders)) continue;
+            if (options.accept && !options.accept(candidate)) continue;
+
+            return candidate;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CameraMotionTracker } from '../cameraMotionTracker.js';
+
+// A camera pose is all the tracker reads
+function createPose() {
+    return { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+}
+
+// Tracker plus a log of every event it emitted
+function createTracker(options = {}) {
+    const camera  = createPose();
+    const tracker = new CameraMotionTracker(camera, { rotationThreshold: 0.1, positionThreshold: 0.1, stillnessLimit: 1, ...options });
+    const events  = [];
+    ['moved', 'still', 'speed'].forEach(name => tracker.on(name, payload => events.push({ name, ...payload })));
+    return { camera, tracker, events, named: name => events.filter(event => event.name === name) };
+}
+
+const rotateY = (camera, angle) => camera.quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle));
+
+test('the first update only records the pose', () => {
+    const { camera, tracker, named } = createTracker();
+    camera.position.set(5, 5, 5); // Far from the identity pose the old inline check compared against
+    rotateY(camera, 2);
+    tracker.update(0.016);
+
+    assert.equal(named('moved').length, 0);
+    assert.equal(named('still').length, 0);
+    assert.equal(named('speed')[0].speed, 0);
+});
+
+test('moving further than positionThreshold emits moved', () => {
+    const { camera, tracker, named } = createTracker();
+    tracker.update(0.016);
+
+    camera.position.x += 0.05; // Below the threshold
+    tracker.update(0.016);
+    assert.equal(named('moved').length, 0);
+
+    camera.position.x += 0.2;
+    tracker.update(0.016);
+    assert.equal(named('moved').length, 1);
+    assert.ok(Math.abs(named('moved')[0].deltaPosition - 0.2) < 1e-9);
+    assert.equal(named('moved')[0].deltaRotation, 0);
+});
+
+test('rotating further than rotationThreshold emits moved', () => {
+    const { camera, tracker, named } = createTracker();
+    tracker.update(0.016);
+
+    rotateY(camera, 0.05);
+    tracker.update(0.016);
+    assert.equal(named('moved').length, 0);
+
+    rotateY(camera, 0.3);
+    tracker.update(0.016);
+    assert.equal(named('moved').length, 1);
+    assert.ok(Math.abs(named('moved')[0].deltaRotation - 0.3) < 1e-6);
+});
+
+test('still fires once stillnessLimit seconds have passed without movement', () => {
+    const { tracker, named } = createTracker({ stillnessLimit: 1 });
+    tracker.update(0.125); // Records the pose; steps of 1/8s add up exactly
+
+    for (let i = 0; i < 7; i++) tracker.update(0.125);
+    assert.equal(named('still').length, 0, 'not yet after 0.875s');
+
+    tracker.update(0.125);
+    assert.equal(named('still').length, 1);
+    assert.equal(named('still')[0].duration, 1);
+
+    tracker.update(0.125);
+    assert.equal(named('still').length, 1, 'the timer starts over after firing');
+});
+
+test('movement resets the stillness timer', () => {
+    const { camera, tracker, named } = createTracker({ stillnessLimit: 1 });
+    tracker.update(0.125);
+
+    for (let i = 0; i < 6; i++) tracker.update(0.125); // 0.75s still
+    camera.position.y += 1;
+    tracker.update(0.125);
+    assert.equal(tracker.stillnessTimer, 0);
+
+    for (let i = 0; i < 7; i++) tracker.update(0.125);
+    assert.equal(named('still').length, 0, 'the 0.75s before the movement do not count');
+    tracker.update(0.125);
+    assert.equal(named('still').length, 1);
+});
+
+test('speed is the position plus rotation change per second', () => {
+    const { camera, tracker, named } = createTracker();
+    tracker.update(0.02);
+
+    camera.position.z += 0.3;
+    rotateY(camera, 0.2);
+    tracker.update(0.05);
+
+    const speed = named('speed')[1];
+    assert.ok(Math.abs(speed.speed - (0.3 + 0.2) / 0.05) < 1e-5, 'speed ' + speed.speed);
+    assert.equal(tracker.speed, speed.speed);
+
+    tracker.update(0); // A zero frame must not divide by zero
+    assert.equal(named('speed')[2].speed, 0);
+});
+
+test('reset forgets the previous pose', () => {
+    const { camera, tracker, named } = createTracker();
+    tracker.update(0.016);
+    tracker.reset();
+
+    camera.position.set(10, 0, 0);
+    tracker.update(0.016);
+    assert.equal(named('moved').length, 0);
+});
@@ -0,0 +1,104 @@
+// Just enough of a 2D canvas for TextSparks to build masks in Node. Glyphs are rasterized as solid
+// boxes: every character is 0.6em wide and 0.7em tall above the baseline, so masks are predictable.
+
+const GLYPH_WIDTH = 0.6; // In ems
+const GLYPH_HEIGHT = 0.7;
+
+const fontSize = (font) => {
+    const match = /(\d+(?:\.\d+)?)px/.exec(font);
+    return match ? Number(match[1]) : 10;
+};
+
+function createContextStandIn() {
+    return {
+        font      : '10px sans-serif',
+        fillStyle : '#000',
+        transform : [1, 0, 0, 1, 0, 0],
+        boxes     : [], // Filled glyph boxes in device pixels, cleared by clearRect
+
+        setTransform(a, b, c, d, e, f) {
+            this.transform = [a, b, c, d, e, f];
+        },
+        measureText(text) {
+            const size = fontSize(this.font);
+            return {
+                width                    : text.length * size * GLYPH_WIDTH,
+                actualBoundingBoxAscent  : size * GLYPH_HEIGHT,
+                actualBoundingBoxDescent : 0
+            };
+        },
+        fillText(text, x, y) {
+            const size  = fontSize(this.font);
+            const scale = this.transform[0];
+            this.boxes.push({
+                left   : x * scale,
+                right  : (x + this.measureText(text).width) * scale,
+                top    : (y - size * GLYPH_HEIGHT) * scale,
+                bottom : y * scale
+            });
+        },
+        clearRect() {
+            this.boxes = [];
+        },
+        getImageData(x, y, width, height) {
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let py = 0; py < height; py++) {
+                for (let px = 0; px < width; px++) {
+                    if (this.boxes.some(box => px >= box.left && px < box.right && py >= box.top && py < box.bottom)) {
+                        data[(py * width + px) * 4 + 3] = 255;
+                    }
+                }
+            }
+            return { width, height, data };
+        },
+        fillRect() {},
+        beginPath() {},
+        arc() {},
+        fill() {}
+    };
+}
+
+export function createCanvasStandIn() {
+    const canvas = {
+        width       : 300,
+        height      : 150,
+        clientWidth : 0,
+        style       : {},
+        setAttribute(name, value) {
+            this[name] = Number(value);
+        },
+        getContext() {
+            if (!this.context) this.context = createContextStandIn();
+            return this.context;
+        },
+        getBoundingClientRect() {
+            return { left: 0, top: 0, width: this.width, height: this.height };
+        }
+    };
+    return canvas;
+}
+
+// Minimal element for the DOM adapter: attributes, innerHTML and querySelectorAll by tag name
+export function createElementStandIn(tagName, attributes = {}, children = [], innerHTML = '') {
+    const element = {
+        tagName : tagName.toUpperCase(),
+        innerHTML,
+        children,
+        getAttribute(name) {
+            return attributes[name] !== undefined ? attributes[name] : null;
+        },
+        hasAttribute(name) {
+            return attributes[name] !== undefined;
+        },
+        querySelectorAll(selector) {
+            const found = [];
+            const visit = (node) => node.children.forEach((child) => {
+                if (child.tagName === selector.toUpperCase()) found.push(child);
+                visit(child);
+            });
+            visit(element);
+            return found;
+        }
+    };
+    return element;
+}
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { updateLaserLineGeometry } from '../laserSystem.js';
+
+const EPSILON = 1e-6;
+
+function createLine() {
+    return new THREE.LineSegments(new THREE.BufferGeometry(), new THREE.LineBasicMaterial());
+}
+
+function createMesh(geometry, material = new THREE.MeshBasicMaterial()) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+// A plane facing +z, optionally moved and rotated
+function createPlane(size, position = new THREE.Vector3(), rotation = new THREE.Euler(), material) {
+    const mesh = createMesh(new THREE.PlaneGeometry(size, size), material);
+    mesh.position.copy(position);
+    mesh.rotation.copy(rotation);
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+// Segments drawn into the line, as [start, end] pairs
+function segmentsOf(line) {
+    const positions = line.geometry.attributes.position;
+    const segments  = [];
+    for (let i = 0; i < positions.count; i += 2) {
+        segments.push([
+            new THREE.Vector3().fromBufferAttribute(positions, i),
+            new THREE.Vector3().fromBufferAttribute(positions, i + 1)
+        ]);
+    }
+    return segments;
+}
+
+function trace(objects, origin, direction, maxBounces = 3, maxLength = 20, options = {}) {
+    const line = createLine();
+    const hits = updateLaserLineGeometry(line, origin, direction.clone().normalize(), new THREE.Raycaster(), objects, maxBounces, maxLength, options);
+    return { line, hits, segments: segmentsOf(line) };
+}
+
+function assertVectorClose(actual, expected, message) {
+    assert.ok(actual.distanceTo(expected) < 1e-4, (message || 'vector') + ': expected ' + expected.toArray() + ', got ' + actual.toArray());
+}
+
+test('a beam reflects off a plane at the mirrored angle', () => {
+    const plane = createPlane(10);
+    const { hits, segments } = trace([plane], new THREE.Vector3(-1, 0, 1), new THREE.Vector3(1, 0, -1), 1);
+
+    assert.equal(hits.length, 1);
+    assertVectorClose(hits[0].point, new THREE.Vector3(0, 0, 0), 'impact point');
+    assertVectorClose(hits[0].normal, new THREE.Vector3(0, 0, 1), 'normal');
+    assertVectorClose(hits[0].direction, new THREE.Vector3(1, 0, 1).normalize(), 'reflected direction');
+
+    assert.equal(segments.length, 2); // In to the plane, then the final reflected segment
+    assertVectorClose(segments[0][1], new THREE.Vector3(0, 0, 0), 'first segment end');
+    const reflected = segments[1][1].clone().sub(segments[1][0]);
+    assert.ok(Math.abs(reflected.length() - 20) < 1e-4, 'final segment has maxLength');
+    assertVectorClose(reflected.normalize(), new THREE.Vector3(1, 0, 1).normalize(), 'final segment direction');
+});
+
+test('the normal faces the incoming beam when a plane is hit from behind', () => {
+    const plane = createPlane(10, new THREE.Vector3(), new THREE.Euler(), new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+    const { hits } = trace([plane], new THREE.Vector3(0, 0, -2), new THREE.Vector3(0, 0, 1), 1);
+
+    assert.equal(hits.length, 1);
+    assertVectorClose(hits[0].normal, new THREE.Vector3(0, 0, -1), 'normal');
+    assertVectorClose(hits[0].direction, new THREE.Vector3(0, 0, -1), 'reflected direction');
+});
+
+test('a beam hitting a cube face head on comes straight back', () => {
+    const cube = createMesh(new THREE.BoxGeometry(2, 2, 2));
+    const { hits, segments } = trace([cube], new THREE.Vector3(5, 0.3, 0), new THREE.Vector3(-1, 0, 0), 2);
+
+    assert.equal(hits.length, 1); // The reflection leaves the cube and hits nothing else
+    assertVectorClose(hits[0].point, new THREE.Vector3(1, 0.3, 0), 'impact on the +x face');
+    assertVectorClose(hits[0].normal, new THREE.Vector3(1, 0, 0), 'face normal');
+    assertVectorClose(hits[0].direction, new THREE.Vector3(1, 0, 0), 'reflected direction');
+    assert.equal(segments.length, 2);
+});
+
+test('reflections off a sphere follow the surface normal at the impact point', () => {
+    const sphere = createMesh(new THREE.SphereGeometry(1, 64, 32));
+    const origin = new THREE.Vector3(-5, 0.5, 0);
+    const { hits } = trace([sphere], origin, new THREE.Vector3(1, 0, 0), 1);
+
+    assert.equal(hits.length, 1);
+    const point = hits[0].point;
+    assert.ok(Math.abs(point.length() - 1) < 0.01, 'impact lies on the sphere');
+    assert.ok(hits[0].normal.angleTo(point.clone().normalize()) < 0.05, 'normal points away from the center');
+
+    // Angle of incidence equals angle of reflection
+    const incoming = new THREE.Vector3(1, 0, 0);
+    const incidence  = incoming.clone().negate().angleTo(hits[0].normal);
+    const reflection = hits[0].direction.angleTo(hits[0].normal);
+    assert.ok(Math.abs(incidence - reflection) < EPSILON);
+});
+
+test('a beam between two mirrors stops after maxBounces reflections', () => {
+    const left  = createPlane(10, new THREE.Vector3(-1, 0, 0), new THREE.Euler(0, Math.PI / 2, 0));
+    const right = createPlane(10, new THREE.Vector3(1, 0, 0), new THREE.Euler(0, -Math.PI / 2, 0));
+
+    [1, 2, 5].forEach((maxBounces) => {
+        const { hits, segments } = trace([left, right], new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0.1, 0), maxBounces);
+        assert.equal(hits.length, maxBounces, 'hits with maxBounces ' + maxBounces);
+        assert.equal(segments.length, maxBounces + 1, 'segments with maxBounces ' + maxBounces);
+    });
+});
+
+test('maxBounces 0 draws no beam, even between mirrors', () => {
+    const left  = createPlane(10, new THREE.Vector3(-1, 0, 0), new THREE.Euler(0, Math.PI / 2, 0));
+    const right = createPlane(10, new THREE.Vector3(1, 0, 0), new THREE.Euler(0, -Math.PI / 2, 0));
+    const { hits, segments } = trace([left, right], new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0.1, 0), 0);
+
+    assert.equal(hits.length, 0);
+    assert.equal(segments.length, 0);
+});
+
+test('a beam that hits nothing is drawn maxLength long', () => {
+    const { hits, segments } = trace([], new THREE.Vector3(1, 2, 3), new THREE.Vector3(0, 1, 0), 3, 7.5);
+
+    assert.equal(hits.length, 0);
+    assert.equal(segments.length, 1);
+    assertVectorClose(segments[0][1], new THREE.Vector3(1, 9.5, 3), 'end point');
+});
+
+test('maxPathLength cuts the beam and drops hits beyond the cut', () => {
+    const plane = createPlane(10);
+    const short = trace([plane], new THREE.Vector3(0, 0, 4), new THREE.Vector3(0, 0, -1), 3, 20, { maxPathLength: 2.5 });
+
+    assert.equal(short.hits.length, 0);
+    assert.equal(short.segments.length, 1);
+    assertVectorClose(short.segments[0][1], new THREE.Vector3(0, 0, 1.5), 'cut end point');
+    assert.ok(Math.abs(short.line.userData.pathLength - 2.5) < EPSILON);
+
+    const long = trace([plane], new THREE.Vector3(0, 0, 4), new THREE.Vector3(0, 0, -1), 3, 20, { maxPathLength: 6 });
+    assert.equal(long.hits.length, 1);
+    assert.ok(Math.abs(long.line.userData.pathLength - 6) < 1e-3, 'reflected part is cut too');
+});
+
+test('diffuse surfaces end the beam', () => {
+    const material = new THREE.MeshBasicMaterial();
+    material.userData.laserSurface = 'diffuse';
+    const plane = createPlane(10, new THREE.Vector3(), new THREE.Euler(), material);
+    const { hits, segments } = trace([plane], new THREE.Vector3(0, 0, 3), new THREE.Vector3(0, 0, -1), 3);
+
+    assert.equal(hits.length, 1);
+    assert.equal(segments.length, 1);
+});
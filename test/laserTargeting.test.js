@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { getRandomPointOnSphere, ScanTargeting, CursorTargeting } from '../laserTargeting.js';
+import { sampleSphere } from '../surfaceSampling.js';
+import { createRandom, random, setRandomSeed } from '../random.js';
+
+const SAMPLES = 2000;
+
+test('getRandomPointOnSphere always returns a point at the given radius', () => {
+    const rand   = createRandom(1);
+    const center = new THREE.Vector3(1, -2, 3);
+
+    [0.5, 1, 10, 75].forEach((radius) => {
+        for (let i = 0; i < SAMPLES; i++) {
+            const distance = getRandomPointOnSphere(center, radius, rand).distanceTo(center);
+            assert.ok(Math.abs(distance - radius) < 1e-9 * Math.max(1, radius), 'distance ' + distance + ' for radius ' + radius);
+        }
+    });
+});
+
+test('getRandomPointOnSphere covers the sphere evenly', () => {
+    const rand = createRandom(2);
+    const mean = new THREE.Vector3();
+    let upperCap = 0;
+
+    for (let i = 0; i < SAMPLES * 5; i++) {
+        const point = getRandomPointOnSphere(new THREE.Vector3(), 1, rand);
+        mean.add(point);
+        if (point.z > 0.5) upperCap++;
+    }
+    mean.divideScalar(SAMPLES * 5);
+
+    assert.ok(mean.length() < 0.05, 'mean direction ' + mean.toArray());
+    assert.ok(Math.abs(upperCap / (SAMPLES * 5) - 0.25) < 0.02, 'a cap of height 0.5 holds a quarter of the points');
+});
+
+test('getRandomPointOnSphere is reproducible with the same seed', () => {
+    const first  = createRandom(42);
+    const second = createRandom(42);
+    for (let i = 0; i < 10; i++) {
+        assert.deepEqual(getRandomPointOnSphere(new THREE.Vector3(), 3, first).toArray(), getRandomPointOnSphere(new THREE.Vector3(), 3, second).toArray());
+    }
+});
+
+test('sampleSphere keeps points within the cone and on the sphere', () => {
+    const rand      = createRandom(3);
+    const direction = new THREE.Vector3(0, 1, 1);
+    const maxAngle  = Math.PI / 6;
+
+    for (let i = 0; i < SAMPLES; i++) {
+        const point = sampleSphere(new THREE.Vector3(), 4, { direction, maxAngle, rand });
+        assert.ok(Math.abs(point.length() - 4) < 1e-9);
+        assert.ok(point.angleTo(direction) <= maxAngle + 1e-9);
+    }
+});
+
+test('scan and cursor vertex fallbacks draw from their own random source', (t) => {
+    t.after(() => setRandomSeed(null));
+
+    const vertices = Array.from({ length: 50 }, (_, i) => new THREE.Vector3(i, 0, 0));
+    const context  = { model: null, vertices, camera: null };
+
+    [ScanTargeting, CursorTargeting].forEach((Strategy) => {
+        setRandomSeed(11);
+        const shared = [random(), random(), random()];
+
+        setRandomSeed(11);
+        const first  = new Strategy({ random: createRandom(9) });
+        const second = new Strategy({ random: createRandom(9) });
+        for (let i = 0; i < 20; i++) {
+            const laser = {};
+            assert.deepEqual(first.pickTarget(laser, context).toArray(), second.pickTarget(laser, context).toArray(), Strategy.name);
+        }
+        assert.deepEqual([random(), random(), random()], shared, Strategy.name + ' left the shared source untouched');
+        first.dispose();
+        second.dispose();
+    });
+});
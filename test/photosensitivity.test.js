@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SafePulse, limitBrightnessRange, setCalmMode, getFlashLimits } from '../photosensitivity.js';
+import { CONFIG_SCHEMA } from '../config.js';
+import { ImpactEffects } from '../impactEffects.js';
+import { createRandom } from '../random.js';
+
+const FRAME_TIME = 1 / 60;
+const DURATION   = 10; // Seconds simulated per camera speed
+const CAMERA_SPEEDS = [0, 0.1, 0.5, 1, 2, 5, 10, 50, 1000];
+
+// The pulse settings at their defaults, as main.js reads them
+const pulseSettings = {};
+Object.keys(CONFIG_SCHEMA).filter(key => key.startsWith('pulse.')).forEach((key) => {
+    pulseSettings[key.slice('pulse.'.length)] = CONFIG_SCHEMA[key].default;
+});
+
+// Drives a SafePulse like animate() does, returning the number of peaks and the brightness range seen
+function simulate(cameraSpeed) {
+    const pulse     = new SafePulse();
+    const frequency = pulseSettings.baseFrequency + Math.min(cameraSpeed, pulseSettings.maxCameraSpeed) * pulseSettings.frequencySensitivity;
+
+    let peaks = 0;
+    let rising = false;
+    let lastIntensity = -Infinity;
+    let minBrightness = Infinity;
+    let maxBrightness = -Infinity;
+    for (let time = 0; time < DURATION; time += FRAME_TIME) {
+        const intensity  = pulse.update(frequency, FRAME_TIME);
+        const range      = limitBrightnessRange(pulseSettings.minBrightness, pulseSettings.maxBrightness);
+        const brightness = range.min + intensity * (range.max - range.min);
+
+        if (rising && intensity < lastIntensity) peaks++;
+        rising = intensity > lastIntensity;
+        lastIntensity = intensity;
+
+        assert.ok(intensity >= 0 && intensity <= 1, 'intensity ' + intensity);
+        minBrightness = Math.min(minBrightness, brightness);
+        maxBrightness = Math.max(maxBrightness, brightness);
+    }
+    return { peaks, minBrightness, maxBrightness };
+}
+
+function assertWithinLimits() {
+    const limits = getFlashLimits();
+    CAMERA_SPEEDS.forEach((speed) => {
+        const result = simulate(speed);
+        assert.ok(result.peaks <= limits.maxFrequency * DURATION + 1, result.peaks + ' peaks in ' + DURATION + ' s at camera speed ' + speed);
+        assert.ok(result.maxBrightness - result.minBrightness <= limits.maxSwing + 1e-9, 'swing ' + (result.maxBrightness - result.minBrightness) + ' at camera speed ' + speed);
+    });
+}
+
+test('pulses stay within the flash limits at any camera speed', () => {
+    setCalmMode(false);
+    assertWithinLimits();
+
+    // Fast orbiting is capped at exactly the limit, not far below it
+    const fast = simulate(1000);
+    assert.ok(fast.peaks >= getFlashLimits().maxFrequency * DURATION - 1, fast.peaks + ' peaks');
+});
+
+test('calm mode tightens both limits at any camera speed', (t) => {
+    t.after(() => setCalmMode(false));
+
+    setCalmMode(true);
+    assertWithinLimits();
+});
+
+test('the default brightness range is kept when it is within the swing limit', () => {
+    setCalmMode(false);
+    const result = simulate(0);
+    assert.ok(Math.abs(result.minBrightness - 0.3) < 1e-3, 'bottom ' + result.minBrightness);
+    assert.ok(Math.abs(result.maxBrightness - 1.0) < 1e-3, 'top ' + result.maxBrightness);
+});
+
+test('SafePulse intensity spans the whole [0, 1] range', () => {
+    setCalmMode(false);
+    const pulse = new SafePulse();
+    let lowest  = Infinity;
+    let highest = -Infinity;
+    for (let i = 0; i < 600; i++) {
+        const intensity = pulse.update(1, FRAME_TIME);
+        lowest  = Math.min(lowest, intensity);
+        highest = Math.max(highest, intensity);
+    }
+    assert.ok(lowest < 0.01, 'lowest ' + lowest);
+    assert.ok(highest > 0.99, 'highest ' + highest);
+});
+
+test('limitBrightnessRange raises the bottom to the swing limit and keeps the top', () => {
+    assert.deepEqual(limitBrightnessRange(0, 1, { maxSwing: 0.2 }), { min: 0.8, max: 1 });
+    assert.deepEqual(limitBrightnessRange(0.5, 0.6, { maxSwing: 0.2 }), { min: 0.5, max: 0.6 });
+    assert.deepEqual(limitBrightnessRange(0.9, 0.4, { maxSwing: 0.2 }), { min: 0.4, max: 0.4 });
+});
+
+// The impact glow opacity seen while a SafePulse drives ImpactEffects at each camera speed
+function glowOpacityRange(cameraSpeed) {
+    const effects = new ImpactEffects(new THREE.Scene(), { glowTexture: new THREE.Texture(), random: createRandom(5) });
+    const hit = {
+        point     : new THREE.Vector3(),
+        normal    : new THREE.Vector3(0, 0, 1),
+        direction : new THREE.Vector3(0, 0, 1),
+        laser     : { color: 0xff0000 },
+        weight    : 1
+    };
+    const pulse     = new SafePulse();
+    const frequency = pulseSettings.baseFrequency + Math.min(cameraSpeed, pulseSettings.maxCameraSpeed) * pulseSettings.frequencySensitivity;
+
+    let lowest  = Infinity;
+    let highest = -Infinity;
+    for (let time = 0; time < DURATION; time += FRAME_TIME) {
+        effects.update([hit], pulse.update(frequency, FRAME_TIME), FRAME_TIME);
+        lowest  = Math.min(lowest, effects.glows[0].material.opacity);
+        highest = Math.max(highest, effects.glows[0].material.opacity);
+    }
+    effects.dispose();
+    return { lowest, highest };
+}
+
+test('impact glow opacity stays within the swing limit in both modes', (t) => {
+    t.after(() => setCalmMode(false));
+
+    [false, true].forEach((calm) => {
+        setCalmMode(calm);
+        const limits = getFlashLimits();
+        CAMERA_SPEEDS.forEach((speed) => {
+            const range = glowOpacityRange(speed);
+            assert.ok(range.highest - range.lowest <= limits.maxSwing + 1e-9, 'glow swing ' + (range.highest - range.lowest) + ' at camera speed ' + speed + (calm ? ' in calm mode' : ''));
+            assert.ok(range.highest > 0.99, 'glows still reach full opacity');
+        });
+    });
+});
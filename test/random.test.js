@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStream, setRandomSeed, random } from '../random.js';
+
+function draw(source, count) {
+    return Array.from({ length: count }, () => source());
+}
+
+test('createStream repeats its sequence for the same seed and name', (t) => {
+    t.after(() => setRandomSeed(null));
+
+    setRandomSeed('bug-42');
+    const first = draw(createStream('lasers'), 20);
+    setRandomSeed('bug-42');
+    assert.deepEqual(draw(createStream('lasers'), 20), first);
+});
+
+test('streams with different names are independent of each other', (t) => {
+    t.after(() => setRandomSeed(null));
+
+    setRandomSeed(7);
+    const lasers = draw(createStream('lasers'), 20);
+
+    // Drawing from the other streams first must not shift the laser sequence
+    setRandomSeed(7);
+    const sparks = createStream('textSparks');
+    const impacts = createStream('impacts');
+    draw(sparks, 500);
+    draw(impacts, 123);
+    draw(random, 50);
+    assert.deepEqual(draw(createStream('lasers'), 20), lasers);
+
+    setRandomSeed(7);
+    assert.notDeepEqual(draw(createStream('textSparks'), 20), lasers);
+});
+
+test('without a seed a stream is the shared source', () => {
+    setRandomSeed(null);
+    assert.equal(createStream('lasers'), random);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextSparks } from '../textSparks.js';
+import { createRandom } from '../random.js';
+import { createCanvasStandIn } from './helpers/canvasStandIn.js';
+
+function createSparks(options = {}) {
+    return new TextSparks({
+        canvas       : createCanvasStandIn(),
+        createCanvas : createCanvasStandIn,
+        width        : 200,
+        height       : 50,
+        externalLoop : true,
+        random       : createRandom(7),
+        stack        : [{ texts: [{ text: 'A', hue: 10 }, { text: 'BC', hue: 200 }] }],
+        ...options
+    });
+}
+
+test('buildTextMask returns one segment per text with its color', () => {
+    const sparks = createSparks();
+    const mask = sparks.maskCache[0];
+
+    assert.equal(mask.length, 2);
+    assert.equal(mask[0].hsl.h, 10);
+    assert.equal(mask[1].hsl.h, 200);
+    assert.ok(mask[0].s.length > 0 && mask[1].s.length > 0);
+    sparks.destroy();
+});
+
+test('mask points are canvas fractions inside their own glyphs, left to right', () => {
+    const sparks = createSparks();
+    const [first, second] = sparks.maskCache[0];
+
+    [first, second].forEach((segment) => {
+        segment.s.forEach((point) => {
+            assert.ok(point.x >= 0 && point.x < 1 && point.y >= 0 && point.y < 1);
+            assert.ok(point.o >= 0 && point.o < 1 && point.t >= 0 && point.t < 1);
+            assert.equal(point.dx, 0);
+            assert.equal(point.dy, 0);
+        });
+    });
+    const firstRight = Math.max(...first.s.map(point => point.x));
+    const secondLeft = Math.min(...second.s.map(point => point.x));
+    assert.ok(firstRight < secondLeft, 'segments do not overlap');
+
+    // Two glyphs cover about twice the area of one
+    const ratio = second.s.length / first.s.length;
+    assert.ok(ratio > 1.8 && ratio < 2.2, 'area ratio ' + ratio);
+    sparks.destroy();
+});
+
+test('the text is centered and scaled to fit the canvas width', () => {
+    const sparks = createSparks({ stack: [{ texts: 'WIDE TEXT THAT DOES NOT FIT' }] });
+    const points = sparks.maskCache[0][0].s;
+    const left   = Math.min(...points.map(point => point.x));
+    const right  = Math.max(...points.map(point => point.x));
+
+    assert.ok(left >= 0.04 && right <= 0.96, 'within 90% of the width: ' + left + '..' + right);
+    assert.ok(Math.abs((left + right) / 2 - 0.5) < 0.02, 'horizontally centered');
+    sparks.destroy();
+});
+
+test('masks are sampled once per CSS pixel on high-DPI canvases', () => {
+    const sparks = createSparks();
+    const lowCount = sparks.maskCache[0][0].s.length;
+
+    sparks.pixelRatio = 2;
+    const highDpi = sparks.buildTextMask(sparks.stack[0].texts);
+    assert.ok(Math.abs(highDpi[0].s.length / lowCount - 1) < 0.15, 'sample count follows CSS pixels');
+    sparks.destroy();
+});
+
+test('masks are reproducible with the same random source', () => {
+    const first  = createSparks({ random: createRandom(5) }).maskCache[0][0].s;
+    const second = createSparks({ random: createRandom(5) }).maskCache[0][0].s;
+    assert.deepEqual(first.slice(0, 20), second.slice(0, 20));
+});
+
+test('buildTextMask warns and returns an empty mask without texts', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const sparks = createSparks();
+    assert.deepEqual(sparks.buildTextMask([]), []);
+    assert.equal(warn.mock.callCount(), 1);
+    sparks.destroy();
+});
+
+test('a headless TextSparks shows its mask when ticked', () => {
+    const sparks = createSparks({ stack: [{ texts: 'A', fadeIn: 0, time: 1000 }] });
+    sparks.run();
+    sparks.tick(20);
+    sparks.tick(20);
+
+    assert.equal(sparks.mask, sparks.maskCache[0]);
+    assert.ok(sparks.particles.count > 0, 'sparks are emitted');
+    sparks.destroy();
+});
+
+test('a resize while a replaced stack fades out keeps the fading message', () => {
+    const sparks = createSparks({ stack: [{ texts: 'A', fadeIn: 0, fadeOut: 1000, time: 5000 }] });
+    sparks.run();
+    sparks.tick(20);
+    assert.equal(sparks.mask.length, 1);
+
+    sparks.setStack([{ texts: [{ text: 'W' }, { text: 'X' }, { text: 'Y' }, { text: 'Z' }] }]);
+    sparks.tick(20); // Fading out 'A'
+    sparks.resize();
+    assert.equal(sparks.mask.length, 1, 'still the old message, not the new stack entry at the same index');
+    assert.equal(sparks.letters.length, 1);
+
+    for (let i = 0; i < 60; i++) sparks.tick(20); // Past the fade out
+    assert.equal(sparks.mask.length, 4, 'the new stack takes over after the fade out');
+    sparks.destroy();
+});
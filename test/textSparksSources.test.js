@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readStackFromDom, normalizeMessage } from '../textSparksSources.js';
+import { TextSparks } from '../textSparks.js';
+import { createCanvasStandIn, createElementStandIn } from './helpers/canvasStandIn.js';
+
+// <div><ul data-time data-fade-in><li data-hue>C</li>...</ul>...</div>
+function createDataContainer() {
+    return createElementStandIn('div', {}, [
+        createElementStandIn('ul', { 'data-time': '3000', 'data-fade-in': '250' }, [
+            createElementStandIn('li', { 'data-hue': '197' }, [], 'C'),
+            createElementStandIn('li', { 'data-hue': '0' }, [], ' O ')
+        ]),
+        createElementStandIn('ul', {}, [
+            createElementStandIn('li', {}, [], 'Y')
+        ])
+    ]);
+}
+
+test('readStackFromDom reads data-time, data-fade-in and data-hue', () => {
+    const stack = readStackFromDom(createDataContainer());
+
+    assert.equal(stack.length, 2);
+    assert.equal(stack[0].time, 3000);
+    assert.equal(stack[0].fadeIn, 250);
+    assert.deepEqual(stack[0].texts.map(text => [text.text, text.hue]), [['C', 197], ['O', 0]]);
+});
+
+test('readStackFromDom falls back to the defaults for missing attributes', () => {
+    const stack = readStackFromDom(createDataContainer());
+
+    assert.equal(stack[1].time, 0);
+    assert.equal(stack[1].fadeIn, 1000);
+    assert.equal(stack[1].fadeOut, 1000);
+    assert.equal(stack[1].texts[0].hue, 0);
+});
+
+test('normalizeMessage turns DOM messages into timed entries with colors', () => {
+    const entry = normalizeMessage(readStackFromDom(createDataContainer())[0]);
+
+    assert.equal(entry.time, 3000);
+    assert.equal(entry.fadeIn, 250);
+    assert.equal(entry.enterTime, 250);
+    assert.deepEqual(entry.texts[0].hsl, { h: 197, s: 100, l: 50 });
+    assert.deepEqual(entry.texts[1].hsl, { h: 0, s: 100, l: 50 });
+});
+
+test('normalizeMessage accepts a plain string and numeric strings', () => {
+    const entry = normalizeMessage({ texts: 'HI', time: '1500', fadeIn: '0', hue: '45' });
+
+    assert.equal(entry.time, 1500);
+    assert.equal(entry.fadeIn, 0);
+    assert.equal(entry.texts.length, 1);
+    assert.equal(entry.texts[0].text, 'HI');
+    assert.equal(entry.texts[0].hsl.h, 45);
+});
+
+test('TextSparks.fetchData reads its stack from a data container', () => {
+    const sparks = new TextSparks({
+        canvas        : createCanvasStandIn(),
+        createCanvas  : createCanvasStandIn,
+        dataContainer : createDataContainer(),
+        width         : 200,
+        height        : 50,
+        externalLoop  : true
+    });
+
+    assert.equal(sparks.stack.length, 2);
+    assert.equal(sparks.stack[0].time, 3000);
+    assert.equal(sparks.stack[0].fadeIn, 250);
+    assert.deepEqual(sparks.stack[0].texts.map(text => text.hsl.h), [197, 0]);
+    sparks.destroy();
+});
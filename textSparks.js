@@ -1,34 +1,148 @@
-const newParticlesPerFrame = 50;
+import { readStackFromDom, loadStackFromJson, normalizeMessage } from './textSparksSources.js';
+import { ParticlePool } from './particlePool.js';
+import { random } from './random.js';
+import { getFlashLimits } from './photosensitivity.js';
+
+const DEFAULT_PARTICLES_PER_FRAME = 50;
+const DEFAULT_MAX_PARTICLES = 4000; // Upper bound on live sparks; emission pauses while the pool is full
+const DEFAULT_CANVAS_HEIGHT = 225; // Height of the text canvas in CSS pixels
+const DEFAULT_MAX_PIXEL_RATIO = 2; // Higher device pixel ratios cost fill rate without a visible gain
+const RESIZE_DELAY = 150; // ms of quiet before a window resize rebuilds the masks
+const DEFAULT_POINTER_RADIUS = 60; // CSS pixels around the pointer that push sparks away
+const DEFAULT_POINTER_STRENGTH = 8; // Push speed at the pointer, in radii per second
+const DEFAULT_RETURN_SPEED = 4; // Rate per second at which pushed sparks spring back
+const DEFAULT_BURST_COUNT = 80; // Sparks emitted by a click or tap
+export const FRAME_MS = 20; // Reference frame the per-frame rates (particlesPerFrame, spark speeds) are tuned for, 50 fps
+const MAX_FRAME_MS = 100; // Longer gaps (a background tab, a breakpoint) count as this much so nothing jumps
+const DEFAULT_FONT = { family: 'Arial', weight: 'bold', style: 'normal' };
+const DEFAULT_FONT_TIMEOUT = 3000; // ms to wait for web fonts before building a mask with fallback glyphs
+const WAVE_FREQUENCY = 5 / (Math.PI * 2); // Hz of the shimmer wave across the static text, 5 radians per second
+const WAVE_DEPTH = 0.5; // Opacity swing of the wave
+const TWINKLE_FREQUENCY = 0.5; // Twinkle cycles per second of every other static point
+const TWINKLE_DEPTH = 0.2; // Opacity of a twinkle at its peak
+
+// Unit movement per choreography direction, in canvas coordinates (y points down)
+const DIRECTIONS = {
+    none  : { x: 0, y: 0 },
+    up    : { x: 0, y: -1 },
+    down  : { x: 0, y: 1 },
+    left  : { x: -1, y: 0 },
+    right : { x: 1, y: 0 }
+};
+
+// null outside a browser: TextSparks then runs headless (e.g. in Node tests) on a canvas stand-in,
+// without resize or pointer listeners and without waiting for web fonts
+const browserWindow = typeof window !== 'undefined' ? window : null;
 
 const color = (hsl, o) => {
     return `hsla(${hsl.h | 0}, ${hsl.s}%, ${hsl.l}%, ${o})`;
 };
 
+// options: {
+//     canvas        : canvas element or selector (default '#text-spark-canvas')
+//     stack         : array of plain messages (see textSparksSources.js); without it the DOM is read
+//     dataContainer : element or selector holding the <ul>/<li> data (default '#text-spark-data')
+//     stackUrl      : JSON file to load messages from once it arrives
+//     particlesPerFrame : sparks emitted per 20ms of animation, whatever the display's frame rate
+//     random        : () => [0, 1) source for every random decision, see random.js
+//     createCanvas  : () => canvas used to rasterize masks; with a canvas stand-in for `canvas` too,
+//                     masks can be built without a browser
+//     externalLoop  : true when the host calls tick(deltaTime) from its own animation loop instead of
+//                     TextSparks running requestAnimationFrame itself
+//     maxParticles
+//     onMaskShown     : (stackEntry, index) when a mask starts its entrance
+//     onMaskHidden    : (stackEntry, index) when a mask has fully left
+//     onCycleComplete : () after the last message, before the stack starts over
+//     width         : fixed canvas width in CSS pixels; by default it follows the canvas' layout width
+//     height        : canvas height in CSS pixels
+//     heightRatio   : canvas height as a fraction of the viewport height; overrides height when above 0
+//     maxPixelRatio : cap on window.devicePixelRatio for the canvas backing store
+//     fontFamily, fontWeight, fontStyle : default font, messages and letters can override it
+//     fontTimeout   : ms to wait for web fonts before building a mask with fallback glyphs
+//     interaction     : true to let the pointer scatter the sparks and clicks emit bursts
+//     pointerRadius, pointerStrength, returnSpeed, burstCount : see the defaults above
+// }
 export class TextSparks
 {
-    constructor() {
-
-        this.opa    = 0;
-        this.tick   = 0;
-        this.drawCB = null;
-        this.mask   = null;
-        // MODIFIED: Select the correct canvas
-        this.canvas = window.document.querySelector('#text-spark-canvas');
+    constructor(options = {}) {
+
+        this.particlesPerFrame = options.particlesPerFrame !== undefined ? options.particlesPerFrame : DEFAULT_PARTICLES_PER_FRAME;
+        this.particles         = new ParticlePool(options.maxParticles !== undefined ? options.maxParticles : DEFAULT_MAX_PARTICLES);
+        this.canvasWidth       = options.width || 0;
+        this.canvasHeight      = options.height || DEFAULT_CANVAS_HEIGHT;
+        this.heightRatio       = options.heightRatio || 0;
+        this.maxPixelRatio     = options.maxPixelRatio || DEFAULT_MAX_PIXEL_RATIO;
+        this.onMaskShown       = options.onMaskShown || null;
+        this.onMaskHidden      = options.onMaskHidden || null;
+        this.onCycleComplete   = options.onCycleComplete || null;
+        this.externalLoop      = !!options.externalLoop;
+        this.random            = options.random || random;
+        this.createCanvas      = options.createCanvas || (() => document.createElement('canvas'));
+        this.font              = {
+            family : options.fontFamily || DEFAULT_FONT.family,
+            weight : options.fontWeight || DEFAULT_FONT.weight,
+            style  : options.fontStyle || DEFAULT_FONT.style
+        };
+        this.fontTimeout       = options.fontTimeout !== undefined ? options.fontTimeout : DEFAULT_FONT_TIMEOUT;
+        this.fontsPending      = new Set(); // Entries whose masks wait for web fonts
+        this.pointerRadius     = options.pointerRadius !== undefined ? options.pointerRadius : DEFAULT_POINTER_RADIUS;
+        this.pointerStrength   = options.pointerStrength !== undefined ? options.pointerStrength : DEFAULT_POINTER_STRENGTH;
+        this.returnSpeed       = options.returnSpeed !== undefined ? options.returnSpeed : DEFAULT_RETURN_SPEED;
+        this.burstCount        = options.burstCount !== undefined ? options.burstCount : DEFAULT_BURST_COUNT;
+        this.interaction       = false;
+        this.pointer           = null; // { x, y } in canvas CSS pixels while interacting and the pointer is over the page
+        this.displaced         = { dx: 0, dy: 0 }; // Reused result of displace()
+
+        this.opa       = 0;
+        this.time      = 0; // ms of animation so far, paused time excluded
+        this.wavePhase = 0; // Radians, advanced by advanceShimmer
+        this.deltaTime = 0; // ms the current frame advances by
+        this.emitDebt  = 0; // Fraction of a spark owed to the next frame
+        this.drawCB    = null;
+        this.frameId   = null; // Pending requestAnimationFrame, null while paused or stopped
+        this.lastFrame = null; // Timestamp of the previous frame
+        this.destroyed = false;
+        this.running   = false; // Between run() and pause() or destroy()
+        this.mask      = null;
+        this.canvas = typeof options.canvas === 'object' && options.canvas
+            ? options.canvas
+            : browserWindow && browserWindow.document.querySelector(options.canvas || '#text-spark-canvas');
         if (!this.canvas) {
-            console.error("TextSparks: Could not find canvas with ID #text-spark-canvas");
+            console.error("TextSparks: Could not find canvas", options.canvas || '#text-spark-canvas');
             return;
         }
         this.engine = this.canvas.getContext('2d');
 
-        this.maskTick   = 0;
-        this.nextMaskCb = this.nextMask.bind(this);
-        this.maskCache  = [];
+        this.maskTime    = 0; // ms the current mask has been held
+        this.phaseTime   = 0; // ms since the current entrance or exit started
+        this.letters     = []; // Per-segment { opa, dx, dy } of the current mask, offsets as canvas fractions
+        this.nextMaskCb  = this.nextMask.bind(this);
+        this.maskCache   = [];
+        this.stackId     = -1;
+        this.activeEntry = null; // Entry being shown; kept even if the stack is replaced meanwhile
+        this.maskVisible = false; // Whether activeEntry has been shown and not hidden yet
+        this.requestedId = null; // Index showMessage asked for, shown after the current mask fades out
+
+        this.resizeTimer    = null;
+        this.onWindowResize = this.onWindowResize.bind(this);
+        if (browserWindow) browserWindow.addEventListener('resize', this.onWindowResize);
+
+        this.onPointerMove  = this.onPointerMove.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onPointerDown  = this.onPointerDown.bind(this);
+        this.setInteraction(!!options.interaction);
 
         this.resize();
-        this.fetchData(); // Fetches data from HTML
+        if (options.stack) {
+            this.stack = options.stack.map(normalizeMessage);
+        } else {
+            this.fetchData(options.dataContainer); // Fetches data from HTML
+        }
         this.buildStackCache();
 
-        this.particleMap = new Map();
+        if (options.stackUrl) {
+            this.loadStack(options.stackUrl);
+        }
 
     }
 
@@ -37,58 +151,149 @@ export class TextSparks
             console.error("TextSparks: Stack data not fetched or empty before buildStackCache.");
             return;
         }
-        this.maskCache = this.stack.map((stack) => {
-            return this.buildTextMask(stack.texts);
+        this.maskCache = this.stack.map((entry) => {
+            return this.buildEntryMask(entry);
         });
     }
 
-    fetchData() {
-        this.stackId = -1;
-        // MODIFIED: Directly use the new div ID
-        const dataContainer = document.querySelector('#text-spark-data');
-        if (!dataContainer) {
-            console.error("TextSparks: Could not find data container with ID #text-spark-data");
-            this.stack = []; // Initialize stack as empty to prevent further errors
+    // CSS font shorthand for a segment, filling unset parts from the TextSparks defaults
+    fontFor(text, size) {
+        const font = text.font || {};
+        return `${font.style || this.font.style} ${font.weight || this.font.weight} ${size}px ${font.family || this.font.family}`;
+    }
+
+    fontsReady(entry) {
+        if (!browserWindow || !browserWindow.document.fonts) return true; // No Font Loading API, nothing to wait for
+        return entry.texts.every(text => document.fonts.check(this.fontFor(text, 16), text.text));
+    }
+
+    // Builds the mask for an entry, or returns null and builds it once its web fonts have loaded.
+    // If the fonts take longer than fontTimeout the mask is built with fallback glyphs and rebuilt
+    // when they finally arrive.
+    buildEntryMask(entry) {
+        if (this.fontsPending.has(entry)) return null;
+        if (this.fontsReady(entry)) return this.buildTextMask(entry.texts);
+
+        this.fontsPending.add(entry);
+        let timedOut = false;
+
+        const loads = Promise.all(entry.texts.map(text => document.fonts.load(this.fontFor(text, 16), text.text)))
+            .catch((error) => {
+                console.warn("TextSparks: Could not load font for", entry.texts.map(text => text.text).join(''), error);
+            });
+        const timeout = new Promise((resolve) => {
+            setTimeout(() => {
+                timedOut = true;
+                resolve();
+            }, this.fontTimeout);
+        });
+
+        Promise.race([loads, timeout]).then(() => {
+            if (timedOut) {
+                console.warn("TextSparks: Fonts still loading after " + this.fontTimeout + "ms. Using fallback glyphs for now.");
+            }
+            this.fontsPending.delete(entry);
+            this.rebuildEntryMask(entry);
+        });
+        loads.then(() => {
+            if (timedOut) this.rebuildEntryMask(entry); // The font arrived late, replace the fallback glyphs
+        });
+        return null;
+    }
+
+    rebuildEntryMask(entry) {
+        const index = this.stack && !this.destroyed ? this.stack.indexOf(entry) : -1;
+        if (index === -1) return; // The stack was replaced or destroyed meanwhile
+
+        this.maskCache[index] = this.buildTextMask(entry.texts);
+        if (entry === this.activeEntry) {
+            this.mask = this.maskCache[index];
+        }
+    }
+
+    // DOM adapter, reads the <ul>/<li> data from a container element or selector
+    fetchData(dataContainer = '#text-spark-data') {
+        const container = typeof dataContainer === 'string' ? document.querySelector(dataContainer) : dataContainer;
+
+        this.stack = readStackFromDom(container).map(normalizeMessage);
+        if (this.stack.length === 0) {
+            console.warn("TextSparks: No text data found in", dataContainer, ". Text animation will be empty.");
+        }
+    }
+
+    // Replaces every message. The current mask fades out and the new stack starts from its first message.
+    setStack(messages) {
+        this.stack = messages.map(normalizeMessage);
+        this.buildStackCache();
+        this.showMessage(0);
+    }
+
+    // Appends a message, building only its mask. Returns its index.
+    pushMessage(message) {
+        const entry = normalizeMessage(message);
+        this.stack.push(entry);
+        this.maskCache.push(this.buildEntryMask(entry));
+
+        if (this.stack.length === 1) {
+            this.showMessage(0); // The stack was empty, so nothing is cycling yet
+        }
+        return this.stack.length - 1;
+    }
+
+    // Fades out the current mask (if any) and shows message `index` next
+    showMessage(index) {
+        if (!this.stack || index < 0 || index >= this.stack.length) {
+            console.warn("TextSparks: showMessage called with invalid index", index);
             return;
         }
 
-        this.stack   = [...dataContainer.querySelectorAll('ul')].map(ul => {
-            return {
-                ticks   : 0.05 * (ul.hasAttribute('data-time') ? ul.getAttribute('data-time') : 0),
-                fadeIn  : ul.hasAttribute('data-fade-in') ? 50 / Number(ul.getAttribute('data-fade-in')) : 50 / 1000, // Default fade in 1s
-                fadeOut : ul.hasAttribute('data-fade-out') ? 50 / Number(ul.getAttribute('data-fade-out')) : 50 / 1000, // Default fade out 1s
-                texts : [...ul.querySelectorAll('li')].map(li => {
-                    return {
-                        text : li.innerHTML.trim(),
-                        hsl : {
-                            h :li.hasAttribute('data-hue') ? Number(li.getAttribute('data-hue')) : 0,
-                            s :li.hasAttribute('data-saturation') ? Number(li.getAttribute('data-saturation')) : 100,
-                            l :li.hasAttribute('data-lightness') ? Number(li.getAttribute('data-lightness')) : 50
-                        }
-                    };
-                })
-            };
-        });
-         if (this.stack.length === 0) {
-            console.warn("TextSparks: No text data found in #text-spark-data. Text animation will be empty.");
+        this.requestedId = index;
+        if (this.opa > 0 && this.activeEntry && this.activeEntry.exitTime) {
+            this.startFadeOut();
+        } else {
+            this.afterFadeOut();
+        }
+    }
+
+    // JSON adapter, replaces the stack once the file has loaded
+    async loadStack(url) {
+        try {
+            this.setStack(await loadStackFromJson(url));
+        } catch (error) {
+            console.error(error.message);
         }
     }
 
+    // Rebuilding every mask is too slow to do on each resize event, so wait for the resizing to settle
+    onWindowResize() {
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.resize(), RESIZE_DELAY);
+    }
+
+    // Sizes the backing store in device pixels while drawing keeps using CSS pixels through the
+    // context transform, so the sparks stay sharp on high-DPI screens
     resize() {
         if (!this.canvas) return;
-        this.width  = window.innerWidth;
-        // Set a fixed height for the text canvas, or make it configurable
-        this.height = 225; // Example: 150px height for the top bar text
+        const viewport  = browserWindow || { devicePixelRatio: 1, innerWidth: 0, innerHeight: 0 };
+        this.pixelRatio = Math.min(viewport.devicePixelRatio || 1, this.maxPixelRatio);
+        this.width      = this.canvasWidth || this.canvas.clientWidth || viewport.innerWidth;
+        this.height     = this.heightRatio > 0 && browserWindow ? Math.round(viewport.innerHeight * this.heightRatio) : this.canvasHeight;
 
-        this.canvas.setAttribute('width', this.width);
-        this.canvas.setAttribute('height', this.height);
+        this.canvas.setAttribute('width', Math.round(this.width * this.pixelRatio));
+        this.canvas.setAttribute('height', Math.round(this.height * this.pixelRatio));
+        if (this.canvas.style) this.canvas.style.height = this.height + 'px'; // The CSS width is 100%, the height must not follow the backing store
+        this.engine.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
 
         // Rebuild mask on resize if necessary for responsiveness
         if (this.stack && this.stack.length > 0) {
             this.buildStackCache();
-            // If a mask is currently active, regenerate it
-            if (this.stackId !== -1 && this.maskCache[this.stackId]) {
-                this.mask = this.maskCache[this.stackId];
+            // If a mask is currently active, regenerate it (a mask waiting for fonts keeps the old one).
+            // After setStack the active entry belongs to the old stack until it has faded out, and
+            // stackId still indexes the old stack, so the entry's own text is rebuilt instead.
+            if (this.activeEntry) {
+                const index = this.stack.indexOf(this.activeEntry);
+                const mask  = index !== -1 ? this.maskCache[index] : this.buildTextMask(this.activeEntry.texts);
+                if (mask) this.mask = mask;
             }
         }
     }
@@ -100,61 +305,56 @@ export class TextSparks
         }
         const mask = [];
 
-        const textAll = texts.reduce((all, textStack) => {
-            return all.concat(textStack.text);
-        }, '');
-
-        // Canvas for mask generation should use internal dimensions, not screen dimensions directly
-        const maskCanvasWidth        = Math.min(this.width, 800); // Max width for mask generation canvas
-        const maskCanvasHeight       = this.height; // Use the actual canvas height for proportion
+        // The mask is rasterized at the canvas' own size and resolution, so it maps 1:1 without stretching.
+        // Layout happens in CSS pixels through the context transform, like the drawing.
+        const maskCanvasWidth  = this.width;
+        const maskCanvasHeight = this.height;
+        const pixelRatio       = this.pixelRatio;
 
         const baseFontSize = Math.min(maskCanvasHeight * 0.6, 90); // Adjust base font size based on canvas height, max 60px
 
-        const tempCanvas = document.createElement('canvas');
+        const tempCanvas = this.createCanvas();
         const tempEngine = tempCanvas.getContext('2d');
 
-        tempCanvas.setAttribute('width', maskCanvasWidth);
-        tempCanvas.setAttribute('height', maskCanvasHeight);
+        tempCanvas.setAttribute('width', Math.round(maskCanvasWidth * pixelRatio));
+        tempCanvas.setAttribute('height', Math.round(maskCanvasHeight * pixelRatio));
+        tempEngine.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
 
-        const font = (size) => {
-            return `bold ${size}px Arial`;
+        // Segments can use different fonts, so the line is measured segment by segment
+        const measure = (size) => {
+            return texts.reduce((width, textStack) => {
+                tempEngine.font = this.fontFor(textStack, size);
+                return width + tempEngine.measureText(textStack.text).width;
+            }, 0);
         };
 
-        tempEngine.font = font(baseFontSize);
-        const m     = tempEngine.measureText(textAll);
-
         // Adjust font size to fit text within the mask canvas width (e.g., 90% of it)
         const desiredTextWidth = maskCanvasWidth * 0.9;
+        const baseWidth = measure(baseFontSize);
         let fSize = baseFontSize;
-        if (m.width > desiredTextWidth) {
-            fSize = (baseFontSize * desiredTextWidth / m.width) | 0;
+        if (baseWidth > desiredTextWidth) {
+            fSize = (baseFontSize * desiredTextWidth / baseWidth) | 0;
         }
         fSize = Math.max(fSize, 10); // Minimum font size
 
-        tempEngine.font = font(fSize);
-        const fontMetrics = tempEngine.measureText(textAll);
-        const fontWidth = fontMetrics.width;
-        // Attempt to vertically center based on font metrics if available
-        const textHeight = fontMetrics.actualBoundingBoxAscent + fontMetrics.actualBoundingBoxDescent || fSize;
-
+        const fontWidth = measure(fSize);
+        // Attempt to vertically center based on the tallest segment's metrics if available
+        const textHeight = texts.reduce((height, textStack) => {
+            tempEngine.font = this.fontFor(textStack, fSize);
+            const metrics = tempEngine.measureText(textStack.text);
+            return Math.max(height, metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent || fSize);
+        }, 0);
 
         // Draw text centered in the temporary mask canvas
         const textX = (maskCanvasWidth - fontWidth) / 2;
         const textY = (maskCanvasHeight / 2) + (textHeight / 3) ; // Adjusted for better vertical centering
 
-        tempEngine.fillStyle = '#000'; // Black text on transparent background for mask
-        tempEngine.fillText(
-            textAll,
-            textX,
-            textY
-        );
-
         let currentX  = textX;
 
         Object.values(texts).forEach(textStack => {
             tempEngine.clearRect(0, 0, maskCanvasWidth, maskCanvasHeight); // Clear for each character/segment
-            tempEngine.fillStyle = '#000'; // Ensure fillStyle is reset
-            tempEngine.font = font(fSize); // Ensure font is reset
+            tempEngine.fillStyle = '#000'; // Black text on transparent background for mask
+            tempEngine.font = this.fontFor(textStack, fSize);
             tempEngine.fillText(
                 textStack.text,
                 currentX,
@@ -163,18 +363,23 @@ export class TextSparks
 
             currentX += tempEngine.measureText(textStack.text).width;
 
-            const data     = tempEngine.getImageData(0, 0, maskCanvasWidth, maskCanvasHeight);
+            const data     = tempEngine.getImageData(0, 0, tempCanvas.width, tempCanvas.height); // Device pixels
             const subStack = [];
-
-            for (let i = 0, max = data.width * data.height; i < max; i++) {
-                if (data.data[i * 4 + 3]) { // Check alpha channel
-                    subStack.push({
-                        // Scale position to be relative to the main canvas dimensions
-                        x : (i % data.width) / data.width,
-                        y : (i / data.width | 0) / data.height,
-                        o : Math.random(),
-                        t : Math.random()
-                    });
+            const step     = Math.max(1, Math.round(pixelRatio)); // About one sample per CSS pixel, whatever the screen
+
+            for (let py = 0; py < data.height; py += step) {
+                for (let px = 0; px < data.width; px += step) {
+                    if (data.data[(py * data.width + px) * 4 + 3]) { // Check alpha channel
+                        subStack.push({
+                            // Scale position to be relative to the main canvas dimensions
+                            x : px / data.width,
+                            y : py / data.height,
+                            o  : this.random(),
+                            t  : this.random(),
+                            dx : 0, // Pointer displacement in CSS pixels
+                            dy : 0
+                        });
+                    }
                 }
             }
             mask.push({
@@ -185,29 +390,42 @@ export class TextSparks
         return mask;
     }
 
-    createNewParticle() {
+    createNewParticle(deltaTime) {
+        if (!this.mask || this.mask.length === 0) return;
+
+        // particlesPerFrame is a rate per reference frame, carried over in fractions between real frames
+        this.emitDebt += this.particlesPerFrame * deltaTime / FRAME_MS;
+        const count = Math.floor(this.emitDebt);
+        this.emitDebt -= count;
+        this.emitFromMask(count);
+    }
+
+    // Emits `count` sparks at random points of the visible segments, e.g. as an extra burst
+    emitFromMask(count) {
         if (!this.mask || this.mask.length === 0) return;
 
-        for (let i = 0; i < newParticlesPerFrame; i++) {
-            let mainIndex   = Math.random() * this.mask.length | 0;
+        for (let i = 0; i < count; i++) {
+            let mainIndex   = this.random() * this.mask.length | 0;
             let subMask     = this.mask[mainIndex];
 
             if (!subMask || !subMask.s || subMask.s.length === 0) continue;
 
-            let maskElement = subMask.s[Math.random() * subMask.s.length | 0];
+            let letter = this.letters[mainIndex];
+            if (!letter || letter.opa <= 0) continue; // Segment not revealed yet, or gone already
+
+            let maskElement = subMask.s[this.random() * subMask.s.length | 0];
 
-            if (subMask && maskElement) {
-                let particle = {
-                    x   : maskElement.x,
-                    y   : maskElement.y,
-                    hsl : subMask.hsl,
-                    c   : this.prepareParticle
-                };
-                this.particleMap.set(particle, particle);
+            if (maskElement && this.emitParticle(maskElement.x + letter.dx, maskElement.y + letter.dy, mainIndex, subMask.hsl) === -1) {
+                return; // Pool is full
             }
         }
     }
 
+    // Changes how many sparks can be alive at once
+    setMaxParticles(maxParticles) {
+        this.particles.resize(maxParticles);
+    }
+
     clear() {
         // Make background transparent for overlay
         this.engine.clearRect(0, 0, this.width, this.height);
@@ -219,69 +437,123 @@ export class TextSparks
         }, 0) / rands.length;
     }
 
-    prepareParticle(particle) {
-        const r1 = Math.random();
-        const r2 = Math.random();
-        const r3 = Math.random();
-
-        particle.x += (-0.5 + r1) / (this.width * 0.3); // Adjust particle movement relative to canvas size
-        particle.y += (-0.5 + r2) / (this.height * 0.3);
-        particle.si = 1 + Math.random() * 2 | 0; // Smaller particles
+    // Starts a spark at (x, y) with a random drift and lifetime. Returns its slot, or -1 when the pool is full.
+    emitParticle(x, y, letter, hsl) {
+        const pool = this.particles;
+        const slot = pool.spawn();
+        if (slot === -1) return -1;
+
+        const r1 = this.random();
+        const r2 = this.random();
+        const r3 = this.random();
+
+        const speed = 0.003 + this.randFromList(r1, r2) / 15; // Slower fade/animation
+        const rad   = r3 * Math.PI * 2;
+
+        pool.x[slot]      = x + (-0.5 + r1) / (this.width * 0.3); // Adjust particle movement relative to canvas size
+        pool.y[slot]      = y + (-0.5 + r2) / (this.height * 0.3);
+        pool.size[slot]   = 1 + this.random() * 2 | 0; // Smaller particles
+        pool.speed[slot]  = speed;
+        pool.life[slot]   = 0;
+        pool.mx[slot]     = Math.cos(rad) * (speed / (r1 < 0.05 ? 20 : 800)); // Adjusted movement speed
+        pool.my[slot]     = Math.sin(rad) * (speed / (r1 < 0.05 ? 20 : 800));
+        pool.dx[slot]     = 0;
+        pool.dy[slot]     = 0;
+        pool.letter[slot] = letter; // Segment the particle belongs to, its opacity follows that segment
+        pool.hsl[slot]    = hsl;
+        return slot;
+    }
 
-        particle.s = 0.003 + this.randFromList(r1, r2) / 15; // Slower fade/animation
-        particle.l = 0;
+    // Advances one spark by `frames` reference frames and draws it. Returns false once it has expired.
+    drawParticle(slot, frames, decay) {
+        const pool = this.particles;
+        if (pool.life[slot] >= 1) return false;
 
-        const rad = r3 * Math.PI * 2;
-        particle.mx = Math.cos(rad) * (particle.s / (r1 < 0.05 ? 20 : 800)); // Adjusted movement speed
-        particle.my = Math.sin(rad) * (particle.s / (r1 < 0.05 ? 20 : 800));
+        pool.life[slot] += pool.speed[slot] * frames;
+        pool.x[slot]    += pool.mx[slot] * frames;
+        pool.y[slot]    += pool.my[slot] * frames;
 
-        particle.c = this.drawParticle;
-    }
+        let x = pool.x[slot] * this.width;
+        let y = pool.y[slot] * this.height;
 
-    drawParticle(particle) {
-        if (particle.l >= 1) {
-            particle.c = null;
-            return;
+        if (this.pointer || pool.dx[slot] !== 0 || pool.dy[slot] !== 0) {
+            this.displace(x, y, pool.dx[slot], pool.dy[slot], frames * FRAME_MS, decay);
+            pool.dx[slot] = this.displaced.dx;
+            pool.dy[slot] = this.displaced.dy;
+            x += this.displaced.dx;
+            y += this.displaced.dy;
         }
 
-        particle.l += particle.s;
-        particle.x += particle.mx;
-        particle.y += particle.my;
-
         // Ensure particle stays within bounds of its own canvas
-        if (particle.x * this.width < 0 || particle.x * this.width > this.width || particle.y * this.height < 0 || particle.y * this.height > this.height) {
-            particle.c = null; // Remove particle if it goes out of bounds
-            return;
+        if (x < 0 || x > this.width || y < 0 || y > this.height) {
+            return false; // Remove particle if it goes out of bounds
         }
 
-        this.engine.fillStyle = color(particle.hsl, this.opa * Math.sin(particle.l * Math.PI));
-        this.engine.fillRect(particle.x * this.width, particle.y * this.height, particle.si, particle.si);
+        const letter = this.letters[pool.letter[slot]];
+        this.engine.fillStyle = color(pool.hsl[slot], (letter ? letter.opa : 0) * Math.sin(pool.life[slot] * Math.PI));
+        this.engine.fillRect(x, y, pool.size[slot], pool.size[slot]);
+        return true;
     }
 
-    renderParticles() {
-        this.particleMap.forEach((particle) => {
-            if (particle.c) {
-                particle.c.call(this, particle);
-            }
-            if (!particle.c) {
-                this.particleMap.delete(particle);
+    renderParticles(deltaTime) {
+        const frames = deltaTime / FRAME_MS;
+        const decay  = Math.exp(-this.returnSpeed * deltaTime / 1000);
+
+        // Expired sparks are replaced by the last live one, so the slot is drawn again before moving on
+        let slot = 0;
+        while (slot < this.particles.count) {
+            if (this.drawParticle(slot, frames, decay)) {
+                slot++;
+            } else {
+                this.particles.remove(slot);
             }
-        });
+        }
+    }
+
+    // Advances the shimmer of the static text within the flash limits of photosensitivity.js. Returns
+    // the twinkle phase advance for this frame (cycles), the wave phase (radians) and `depth`, which
+    // scales both opacity swings down to the allowed luminance swing (1 when nothing is limited).
+    advanceShimmer(deltaTime) {
+        const limits = getFlashLimits();
+        this.wavePhase = (this.wavePhase + Math.min(WAVE_FREQUENCY, limits.maxFrequency) * Math.PI * 2 * deltaTime / 1000) % (Math.PI * 2);
+
+        return {
+            twinkleStep : Math.min(TWINKLE_FREQUENCY, limits.maxFrequency) * deltaTime / 1000,
+            wavePhase   : this.wavePhase,
+            depth       : Math.min(1, limits.maxSwing / (WAVE_DEPTH + TWINKLE_DEPTH))
+        };
     }
 
-    drawStatic() {
+    drawStatic(deltaTime) {
         if (!this.mask) return;
+        const shimmer = this.advanceShimmer(deltaTime);
+        const decay   = Math.exp(-this.returnSpeed * deltaTime / 1000);
         let i = 0;
-        const particleSizeBase = Math.max(1, this.width / 200); // Scale particle size with canvas width
+        const particleSizeBase = Math.max(1, this.height / 56); // Scale particle size with the text, which follows the height
 
-        this.mask.forEach(subMask => {
-            if (!subMask.s) return;
+        this.mask.forEach((subMask, index) => {
+            const letter = this.letters[index];
+            if (!subMask.s || !letter || letter.opa <= 0) return;
+
+            const opa = letter.opa;
             subMask.s.forEach(pos => {
                 i++;
-                this.engine.fillStyle = color(subMask.hsl, (1 + Math.cos(pos.x * 5 * pos.y * 5 + this.tick / 10)) / 2 * this.opa * pos.t * 0.5);
+                let x = (pos.x + letter.dx) * this.width;
+                let y = (pos.y + letter.dy) * this.height;
+
+                if (this.pointer || pos.dx !== 0 || pos.dy !== 0) {
+                    this.displace(x, y, pos.dx, pos.dy, deltaTime, decay);
+                    pos.dx = this.displaced.dx;
+                    pos.dy = this.displaced.dy;
+                    x += pos.dx;
+                    y += pos.dy;
+                }
+
+                const wave = (1 + Math.cos(pos.x * 5 * pos.y * 5 + shimmer.wavePhase)) / 2;
+                this.engine.fillStyle = color(subMask.hsl, (1 - shimmer.depth * (1 - wave)) * opa * pos.t * WAVE_DEPTH);
                 this.engine.fillRect(
-                    pos.x * this.width,
-                    pos.y * this.height,
+                    x,
+                    y,
                     particleSizeBase,
                     particleSizeBase
                 );
@@ -290,20 +562,20 @@ export class TextSparks
                     return;
                 }
 
-                pos.o        += 0.01; // Animation speed for static particles
+                pos.o        += shimmer.twinkleStep; // Animation speed for static particles
                 const localOpa     = Math.max(0, Math.sin(pos.o * Math.PI * 2));
-                const padding = localOpa * this.width / 250; // Scale padding
+                const padding = localOpa * this.height / 70; // Scale padding
 
-                this.engine.fillStyle = color(subMask.hsl, this.opa * localOpa * 0.2);
+                this.engine.fillStyle = color(subMask.hsl, opa * localOpa * TWINKLE_DEPTH * shimmer.depth);
 
-                const arcRadius = Math.max(1, this.width / 600) + padding; // Scale arc radius
+                const arcRadius = Math.max(1, this.height / 170) + padding; // Scale arc radius
                 const rectSize = particleSizeBase + padding * 2;
 
                 if (pos.t < 0.5) {
                     this.engine.beginPath();
                     this.engine.arc(
-                        pos.x * this.width,
-                        pos.y * this.height,
+                        x,
+                        y,
                         arcRadius,
                         0,
                         Math.PI * 2
@@ -311,8 +583,8 @@ export class TextSparks
                     this.engine.fill();
                 } else {
                     this.engine.fillRect(
-                        pos.x * this.width - padding,
-                        pos.y * this.height - padding,
+                        x - padding,
+                        y - padding,
                         rectSize,
                         rectSize
                     );
@@ -321,71 +593,208 @@ export class TextSparks
         });
     }
 
-    draw() {
+    // Pointer interaction. The canvas itself has pointer-events: none, so the listeners sit on window
+    // and OrbitControls below keeps getting its events.
+    setInteraction(enabled) {
+        if (enabled === this.interaction) return;
+        this.interaction = enabled;
+
+        const method = enabled ? 'addEventListener' : 'removeEventListener';
+        if (browserWindow) {
+            browserWindow[method]('pointermove', this.onPointerMove);
+            browserWindow[method]('pointerdown', this.onPointerDown);
+            browserWindow[method]('pointerout', this.onPointerLeave);
+        }
+        if (!enabled) this.pointer = null;
+    }
+
+    toCanvas(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    onPointerMove(event) {
+        this.pointer = this.toCanvas(event);
+    }
+
+    // Leaving the window, or a finger lifting off, ends the push
+    onPointerLeave(event) {
+        if (!event.relatedTarget) this.pointer = null;
+    }
+
+    onPointerDown(event) {
+        const point = this.toCanvas(event);
+        if (point.x < 0 || point.x > this.width || point.y < 0 || point.y > this.height) return; // Not on the text
+        this.burst(point.x, point.y);
+    }
+
+    // Emits burstCount fast sparks from (x, y) in CSS pixels, colored like the visible segments
+    burst(x, y) {
+        if (!this.mask) return;
+        const visible = this.letters.map((letter, index) => letter.opa > 0 ? index : -1).filter(index => index !== -1);
+        if (visible.length === 0) return;
+
+        const pool = this.particles;
+        for (let i = 0; i < this.burstCount; i++) {
+            const letter = visible[this.random() * visible.length | 0];
+            const slot = this.emitParticle(x / this.width, y / this.height, letter, this.mask[letter].hsl);
+            if (slot === -1) return; // Pool is full
+
+            const rad   = this.random() * Math.PI * 2;
+            const speed = 1 + this.random() * 4; // CSS pixels per reference frame
+            pool.mx[slot] = Math.cos(rad) * speed / this.width;
+            pool.my[slot] = Math.sin(rad) * speed / this.height;
+        }
+    }
+
+    // Pushes a spark drawn at (x, y) away from the pointer and lets its displacement (dx, dy) spring back.
+    // The new displacement goes to this.displaced, so no object is allocated per spark.
+    displace(x, y, dx, dy, deltaTime, decay) {
+        dx *= decay;
+        dy *= decay;
+
+        if (this.pointer) {
+            const awayX    = x + dx - this.pointer.x;
+            const awayY    = y + dy - this.pointer.y;
+            const distance = Math.sqrt(awayX * awayX + awayY * awayY);
+
+            if (distance < this.pointerRadius && distance > 0) {
+                const push = this.pointerStrength * this.pointerRadius * (1 - distance / this.pointerRadius) * deltaTime / 1000;
+                dx += awayX / distance * push;
+                dy += awayY / distance * push;
+            }
+        }
+
+        // Settle exactly so resting sparks skip this work
+        if (Math.abs(dx) < 0.05 && Math.abs(dy) < 0.05) {
+            dx = 0;
+            dy = 0;
+        }
+        this.displaced.dx = dx;
+        this.displaced.dy = dy;
+    }
+
+    // Advances the animation by deltaTime ms and renders one frame
+    step(deltaTime) {
         if (!this.engine || !this.canvas) return; // Ensure engine and canvas are available
-        this.tick++;
+        this.deltaTime = deltaTime;
+        this.time += deltaTime;
 
         if (this.nextMaskCb) this.nextMaskCb();
-        this.createNewParticle();
+        this.createNewParticle(deltaTime);
         this.clear(); // Clears with transparent background
 
         this.engine.globalCompositeOperation = 'lighter';
-        this.drawStatic();
-        this.renderParticles();
+        this.drawStatic(deltaTime);
+        this.renderParticles(deltaTime);
         this.engine.globalCompositeOperation = 'source-over';
+    }
+
+    draw(timestamp) {
+        const deltaTime = this.lastFrame === null ? 0 : Math.min(timestamp - this.lastFrame, MAX_FRAME_MS);
+        this.lastFrame = timestamp;
+        this.step(deltaTime);
 
         if (!this.drawCB) { // Bind drawCB only once
              this.drawCB = this.draw.bind(this);
         }
-        requestAnimationFrame(this.drawCB);
+        this.frameId = requestAnimationFrame(this.drawCB);
+    }
+
+    // Moves every segment of the active entry to `phaseTime` into its entrance or exit.
+    // Returns true once the last segment has finished.
+    updateLetters(exiting) {
+        let done = true;
+        this.opa = 0;
+
+        this.activeEntry.texts.forEach((text, index) => {
+            const delay    = exiting ? text.exitDelay : text.enterDelay;
+            const duration = exiting ? text.exitDuration : text.enterDuration;
+            const elapsed  = this.phaseTime - delay;
+            const t        = duration > 0 ? Math.min(Math.max(elapsed / duration, 0), 1) : (elapsed >= 0 ? 1 : 0);
+            if (t < 1) done = false;
+
+            // Entering segments travel from an offset to their place, exiting ones from their place away
+            const progress  = text.easing(t);
+            const direction = DIRECTIONS[exiting ? text.exit : text.enter];
+            const distance  = text.travel * (exiting ? progress : progress - 1);
+            const opa       = Math.min(Math.max(exiting ? 1 - progress : progress, 0), 1); // Overshooting easings only move
+            const letter    = this.letters[index];
+
+            letter.opa = exiting ? Math.min(letter.opa, opa) : opa; // An exit cut into an entrance never brightens
+            letter.dx  = direction.x * distance * this.height / this.width; // travel is relative to the height
+            letter.dy  = direction.y * distance;
+            this.opa   = Math.max(this.opa, letter.opa);
+        });
+        return done;
+    }
+
+    setLetters(opa) {
+        this.opa = opa;
+        this.letters.forEach((letter) => {
+            letter.opa = opa;
+            letter.dx  = 0;
+            letter.dy  = 0;
+        });
     }
 
     fadeInMask() {
-        if (!this.stack || !this.stack[this.stackId]) return;
-        this.opa += this.stack[this.stackId].fadeIn || 0.02; // Default fade speed
+        if (!this.activeEntry) return;
+        this.phaseTime += this.deltaTime;
 
-        if (this.opa >= 1) {
-            this.opa = 1;
+        if (this.updateLetters(false)) {
             this.afterFadeIn();
         }
     }
 
     afterFadeIn() {
-        this.opa = 1;
-        if (!this.stack || !this.stack[this.stackId]) return;
+        this.setLetters(1);
+        if (!this.activeEntry) return;
 
-        if (this.stack[this.stackId].ticks) {
-            this.maskTick   = 0;
+        if (this.activeEntry.time) {
+            this.maskTime   = 0;
             this.nextMaskCb = this.tickMask.bind(this);
         } else {
-            // If no ticks, hold the mask indefinitely or until manually changed
+            // If no hold time, hold the mask indefinitely or until manually changed
             this.nextMaskCb = () => {};
         }
     }
 
+    startFadeOut() {
+        this.phaseTime  = 0;
+        this.nextMaskCb = this.fadeOutMask.bind(this);
+    }
+
     fadeOutMask() {
-        if (!this.stack || !this.stack[this.stackId]) return;
-        this.opa -= this.stack[this.stackId].fadeOut || 0.02; // Default fade speed
+        if (!this.activeEntry) return;
+        this.phaseTime += this.deltaTime;
 
-        if (this.opa <= 0) {
+        if (this.updateLetters(true)) {
             this.afterFadeOut();
         }
     }
 
     afterFadeOut() {
-        this.opa = 0;
+        this.setLetters(0);
         this.nextMaskCb = this.nextMask.bind(this);
+
+        if (this.maskVisible) {
+            this.maskVisible = false;
+            if (this.onMaskHidden) {
+                this.onMaskHidden(this.activeEntry, this.stackId);
+            }
+        }
     }
 
     tickMask() {
-        if (!this.stack || !this.stack[this.stackId]) return;
-        this.maskTick++;
+        if (!this.activeEntry) return;
+        this.maskTime += this.deltaTime;
 
-        if (this.maskTick >= this.stack[this.stackId].ticks) {
-            if (this.stack[this.stackId].fadeOut) {
-                this.nextMaskCb = this.fadeOutMask.bind(this);
+        if (this.maskTime >= this.activeEntry.time) {
+            if (this.activeEntry.exitTime) {
+                this.startFadeOut();
             } else {
-                this.afterFadeOut(); // If no fadeOut defined, just go to next mask
+                this.afterFadeOut(); // If no fade out defined, just go to next mask
             }
         }
     }
@@ -395,9 +804,19 @@ export class TextSparks
              this.nextMaskCb = () => {}; // No stack, do nothing
              return;
         }
-        this.stackId++;
-        if (this.stackId >= this.stack.length) {
-            this.stackId = 0; // Loop back to the first text
+        let nextId = this.requestedId !== null ? this.requestedId : this.stackId + 1; // requestedId comes from showMessage
+        const wrapped = this.requestedId === null && this.stackId !== -1 && nextId >= this.stack.length;
+        if (nextId >= this.stack.length) {
+            nextId = 0; // Loop back to the first text
+        }
+        if (this.maskCache[nextId] === null) {
+            return; // Its fonts are still loading, try again next frame
+        }
+        this.stackId     = nextId;
+        this.requestedId = null;
+
+        if (wrapped && this.onCycleComplete) {
+            this.onCycleComplete();
         }
 
         this.mask = this.maskCache[this.stackId];
@@ -407,11 +826,18 @@ export class TextSparks
             return;
         }
 
-        if (this.stack[this.stackId].fadeIn) {
+        this.activeEntry = this.stack[this.stackId];
+        this.letters     = this.activeEntry.texts.map(() => ({ opa: 0, dx: 0, dy: 0 }));
+        this.maskVisible = true;
+        if (this.onMaskShown) {
+            this.onMaskShown(this.activeEntry, this.stackId);
+        }
+
+        if (this.activeEntry.enterTime) {
+            this.phaseTime  = 0;
             this.nextMaskCb = this.fadeInMask.bind(this);
         } else {
-            this.opa = 1; // No fade in, just show
-            this.afterFadeIn();
+            this.afterFadeIn(); // No fade in, just show
         }
     }
 
@@ -420,10 +846,53 @@ export class TextSparks
             console.error("TextSparks: Canvas or engine not initialized. Cannot run.");
             return;
         }
+        if (this.destroyed || this.running) return; // Gone, or already running
+        this.running = true;
+        if (this.externalLoop) return; // The host drives tick()
+
         // Bind drawCB here if not already bound
         if (!this.drawCB) {
             this.drawCB = this.draw.bind(this);
         }
-        this.drawCB(); // Start animation loop
+        this.lastFrame = null;
+        this.frameId   = requestAnimationFrame(this.drawCB); // Start animation loop
+    }
+
+    // Advances the animation from the host's loop when externalLoop is set; does nothing while paused
+    tick(deltaTime) {
+        if (!this.running) return;
+        this.step(Math.min(deltaTime, MAX_FRAME_MS));
+    }
+
+    // Stops the animation loop; the current frame stays on the canvas
+    pause() {
+        this.running = false;
+        if (this.frameId === null) return;
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    // Continues where pause() left off, without counting the paused time
+    resume() {
+        this.run();
+    }
+
+    // Stops for good and releases the listeners, sparks and canvas contents
+    destroy() {
+        this.pause();
+        this.destroyed = true;
+
+        if (browserWindow) browserWindow.removeEventListener('resize', this.onWindowResize);
+        this.setInteraction(false);
+        clearTimeout(this.resizeTimer);
+        this.particles.clear();
+        if (this.engine) this.clear();
+
+        this.nextMaskCb = null;
+        this.mask       = null;
+        this.maskCache  = [];
+        this.onMaskShown     = null;
+        this.onMaskHidden    = null;
+        this.onCycleComplete = null;
     }
 }
@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { TextSparks, FRAME_MS } from './textSparks.js';
+import { createGlowTexture } from './impactEffects.js';
+
+const DEFAULT_MASK_WIDTH = 1024; // Resolution the masks are rasterized at, in mask pixels
+const DEFAULT_MASK_HEIGHT = 256;
+const DEFAULT_WORLD_WIDTH = 2; // Width of the text in world units
+const DEFAULT_DEPTH = 0.08; // Depth the static points spread over, as a fraction of the text width
+const DEFAULT_POINT_SIZE = 0.025; // World units
+const DEFAULT_MAX_STATIC_POINTS = 8000; // Larger masks are thinned out to this many static points
+const SPARK_DRIFT_Z = 0.002; // Max depth drift of a spark per reference frame, as a fraction of the text width
+
+// TextSparks rendered as a THREE.Points cloud inside the scene, so the text has depth, parallax
+// under OrbitControls and blends additively with the lasers. The masks, choreography and the fade
+// and hold cycle are inherited; only the drawing differs. Masks are rasterized on an offscreen canvas.
+// Place `object` in the scene (e.g. above the model) and scale it through worldWidth.
+// options: everything TextSparks takes except the canvas and pointer options, plus
+//     maskWidth, maskHeight, worldWidth, depth, pointSize, maxStaticPoints
+export class TextSparks3D extends TextSparks
+{
+    constructor(scene, options = {}) {
+        super({
+            ...options,
+            canvas        : document.createElement('canvas'),
+            width         : options.maskWidth || DEFAULT_MASK_WIDTH,
+            height        : options.maskHeight || DEFAULT_MASK_HEIGHT,
+            maxPixelRatio : 1, // The mask resolution is set explicitly, the screen doesn't matter
+            interaction   : false
+        });
+        window.removeEventListener('resize', this.onWindowResize); // Fixed mask size, nothing to rebuild
+
+        this.worldWidth      = options.worldWidth || DEFAULT_WORLD_WIDTH;
+        this.depth           = options.depth !== undefined ? options.depth : DEFAULT_DEPTH;
+        this.maxStaticPoints = options.maxStaticPoints || DEFAULT_MAX_STATIC_POINTS;
+        this.rgb             = new WeakMap(); // hsl object -> THREE.Color, segments keep their hsl object
+
+        const capacity = this.maxStaticPoints + this.particles.capacity;
+        this.positions = new Float32Array(capacity * 3);
+        this.colors    = new Float32Array(capacity * 3);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+
+        // Additive blending, so fading a point's color to black fades it out
+        this.texture  = createGlowTexture();
+        this.material = new THREE.PointsMaterial({
+            size         : options.pointSize || DEFAULT_POINT_SIZE,
+            map          : this.texture,
+            vertexColors : true,
+            blending     : THREE.AdditiveBlending,
+            transparent  : true,
+            depthWrite   : false
+        });
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false; // Positions change every frame, the bounding sphere would be stale
+
+        this.object = new THREE.Group();
+        this.object.add(this.points);
+        scene.add(this.object);
+    }
+
+    setInteraction(enabled) {
+        if (enabled) {
+            console.warn("TextSparks3D: Pointer interaction is only available on the 2D canvas.");
+        }
+    }
+
+    setMaxParticles(maxParticles) {
+        console.warn("TextSparks3D: maxParticles is fixed once the point cloud is created. Ignored.");
+    }
+
+    emitParticle(x, y, letter, hsl) {
+        const slot = super.emitParticle(x, y, letter, hsl);
+        if (slot !== -1) {
+            this.particles.z[slot]  = (this.random() - 0.5) * this.depth;
+            this.particles.mz[slot] = (this.random() - 0.5) * 2 * SPARK_DRIFT_Z;
+        }
+        return slot;
+    }
+
+    // Writes one point: mask coordinates (fractions of the mask, y down) become the group's local
+    // x/y plane centered on its origin, `brightness` scales the color as the points are additive
+    writePoint(index, x, y, z, hsl, brightness) {
+        const aspect = this.height / this.width;
+        const i3 = index * 3;
+
+        this.positions[i3]     = (x - 0.5) * this.worldWidth;
+        this.positions[i3 + 1] = (0.5 - y) * this.worldWidth * aspect;
+        this.positions[i3 + 2] = z * this.worldWidth;
+
+        let color = this.rgb.get(hsl);
+        if (!color) {
+            color = new THREE.Color().setHSL(hsl.h / 360, hsl.s / 100, hsl.l / 100);
+            this.rgb.set(hsl, color);
+        }
+        this.colors[i3]     = color.r * brightness;
+        this.colors[i3 + 1] = color.g * brightness;
+        this.colors[i3 + 2] = color.b * brightness;
+    }
+
+    // Same shimmer as TextSparks.drawStatic: a slow wave plus a twinkle per point, within the flash limits
+    writeStatic(deltaTime) {
+        if (!this.mask) return 0;
+        const shimmer = this.advanceShimmer(deltaTime);
+        const total   = this.mask.reduce((sum, subMask) => sum + (subMask.s ? subMask.s.length : 0), 0);
+        const stride  = Math.max(1, Math.ceil(total / this.maxStaticPoints));
+        let count = 0;
+
+        this.mask.forEach((subMask, index) => {
+            const letter = this.letters[index];
+            if (!subMask.s || !letter || letter.opa <= 0) return;
+
+            for (let i = 0; i < subMask.s.length && count < this.maxStaticPoints; i += stride) {
+                const pos = subMask.s[i];
+                pos.o += shimmer.twinkleStep;
+
+                const wave    = (1 - shimmer.depth * (1 - (1 + Math.cos(pos.x * 5 * pos.y * 5 + shimmer.wavePhase)) / 2)) * pos.t * 0.5;
+                const twinkle = Math.max(0, Math.sin(pos.o * Math.PI * 2)) * 0.2 * shimmer.depth;
+                this.writePoint(count++, pos.x + letter.dx, pos.y + letter.dy, (pos.t - 0.5) * this.depth, subMask.hsl, letter.opa * (wave + twinkle));
+            }
+        });
+        return count;
+    }
+
+    // Advances the sparks like TextSparks.drawParticle and appends them after the static points
+    writeSparks(deltaTime, offset) {
+        const pool   = this.particles;
+        const frames = deltaTime / FRAME_MS;
+        let count = offset;
+        let slot = 0;
+
+        while (slot < pool.count) {
+            pool.life[slot] += pool.speed[slot] * frames;
+            pool.x[slot]    += pool.mx[slot] * frames;
+            pool.y[slot]    += pool.my[slot] * frames;
+            pool.z[slot]    += pool.mz[slot] * frames;
+
+            const x = pool.x[slot];
+            const y = pool.y[slot];
+            if (pool.life[slot] >= 1 || x < 0 || x > 1 || y < 0 || y > 1) {
+                pool.remove(slot); // The last spark moved into this slot, so it is handled next
+                continue;
+            }
+
+            const letter = this.letters[pool.letter[slot]];
+            this.writePoint(count++, x, y, pool.z[slot], pool.hsl[slot], (letter ? letter.opa : 0) * Math.sin(pool.life[slot] * Math.PI));
+            slot++;
+        }
+        return count;
+    }
+
+    step(deltaTime) {
+        if (this.destroyed) return;
+        this.deltaTime = deltaTime;
+        this.time += deltaTime;
+
+        if (this.nextMaskCb) this.nextMaskCb();
+        this.createNewParticle(deltaTime);
+
+        const count = this.writeSparks(deltaTime, this.writeStatic(deltaTime));
+        const geometry = this.points.geometry;
+        geometry.setDrawRange(0, count);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    destroy() {
+        super.destroy();
+        if (this.object.parent) this.object.parent.remove(this.object);
+        this.points.geometry.dispose();
+        this.material.dispose();
+        this.texture.dispose();
+    }
+}
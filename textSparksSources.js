@@ -0,0 +1,166 @@
+import { resolveEasing } from './easing.js';
+
+// Content sources for TextSparks. Every source produces plain message objects:
+//   {
+//       time     : 3000,  // Hold time in ms, 0 = hold until told otherwise
+//       fadeIn   : 1000,  // Fade-in duration in ms, 0 = appear at once
+//       fadeOut  : 1000,  // Fade-out duration in ms, 0 = disappear at once
+//       lighting : 'spooky', // Optional lighting preset for the host page
+//       texts    : [{ text: 'C', hue: 197, saturation: 100, lightness: 50 }, ...]
+//   }
+// `texts` may also be a plain string, which becomes a single segment using the message's own hue,
+// saturation and lightness. normalizeMessage turns a message into the entry format TextSparks animates.
+//
+// Optional per-letter choreography, on the message (applies to every segment) or on a segment:
+//   stagger     : ms between the entrance of one segment and the next (message only)
+//   exitStagger : ms between the exit of one segment and the next, defaults to stagger (message only)
+//   delay       : ms before this segment enters, overrides the stagger (segment only)
+//   duration    : ms this segment takes to fade in or out, defaults to the message's fadeIn/fadeOut
+//   easing      : easing name from easing.js
+//   enter, exit : 'up', 'down', 'left', 'right' or 'none' - direction the segment moves while entering / leaving
+//   travel      : slide distance as a fraction of the canvas height
+// In the DOM these are data-stagger, data-exit-stagger, data-delay, data-duration, data-easing,
+// data-enter, data-exit and data-travel.
+//
+// Optional font, on the message or a segment; unset parts fall back to the TextSparks font options:
+//   fontFamily : CSS font family, e.g. "'Brand Sans', sans-serif"
+//   fontWeight : CSS font weight, e.g. 'bold' or 700
+//   fontStyle  : 'normal', 'italic' or 'oblique'
+// In the DOM these are data-font-family, data-font-weight and data-font-style.
+
+const DEFAULT_FADE_MS = 1000;
+const DEFAULT_TRAVEL = 0.15;
+const DIRECTIONS = ['none', 'up', 'down', 'left', 'right'];
+
+const numberAttribute = (element, name, fallback) => {
+    return element.hasAttribute(name) ? Number(element.getAttribute(name)) : fallback;
+};
+
+// Copies the choreography attributes that are present onto a message or segment
+const readChoreography = (element, target, attributes) => {
+    attributes.forEach(([attribute, key, isNumber]) => {
+        if (!element.hasAttribute(attribute)) return;
+        target[key] = isNumber ? Number(element.getAttribute(attribute)) : element.getAttribute(attribute);
+    });
+    return target;
+};
+
+const SHARED_ATTRIBUTES = [
+    ['data-font-family', 'fontFamily', false],
+    ['data-font-weight', 'fontWeight', false],
+    ['data-font-style', 'fontStyle', false],
+    ['data-duration', 'duration', true],
+    ['data-easing', 'easing', false],
+    ['data-enter', 'enter', false],
+    ['data-exit', 'exit', false],
+    ['data-travel', 'travel', true]
+];
+const MESSAGE_ATTRIBUTES = [
+    ['data-stagger', 'stagger', true],
+    ['data-exit-stagger', 'exitStagger', true],
+    ...SHARED_ATTRIBUTES
+];
+const SEGMENT_ATTRIBUTES = [
+    ['data-delay', 'delay', true],
+    ...SHARED_ATTRIBUTES
+];
+
+// DOM adapter: <ul data-time data-fade-in data-fade-out data-lighting><li data-hue ...>C</li></ul>
+export function readStackFromDom(container) {
+    if (!container) {
+        console.error("TextSparks: Could not find the text data container.");
+        return [];
+    }
+
+    return [...container.querySelectorAll('ul')].map(ul => {
+        return readChoreography(ul, {
+            time     : numberAttribute(ul, 'data-time', 0),
+            fadeIn   : numberAttribute(ul, 'data-fade-in', DEFAULT_FADE_MS),
+            fadeOut  : numberAttribute(ul, 'data-fade-out', DEFAULT_FADE_MS),
+            lighting : ul.getAttribute('data-lighting'),
+            texts    : [...ul.querySelectorAll('li')].map(li => {
+                return readChoreography(li, {
+                    text       : li.innerHTML.trim(),
+                    hue        : numberAttribute(li, 'data-hue', 0),
+                    saturation : numberAttribute(li, 'data-saturation', 100),
+                    lightness  : numberAttribute(li, 'data-lightness', 50)
+                }, SEGMENT_ATTRIBUTES);
+            })
+        }, MESSAGE_ATTRIBUTES);
+    });
+}
+
+// JSON adapter: the file holds either an array of messages or { "stack": [...] }
+export async function loadStackFromJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error("TextSparks: Could not load '" + url + "': " + response.status + " " + response.statusText);
+    }
+    const data = await response.json();
+    const stack = Array.isArray(data) ? data : data.stack;
+    if (!Array.isArray(stack)) {
+        throw new Error("TextSparks: '" + url + "' contains no message array.");
+    }
+    return stack;
+}
+
+const pick = (segment, message, key, fallback) => {
+    if (segment[key] !== undefined && segment[key] !== null) return segment[key];
+    if (message[key] !== undefined && message[key] !== null) return message[key];
+    return fallback;
+};
+
+const normalizeDirection = (direction) => {
+    if (DIRECTIONS.includes(direction)) return direction;
+    console.warn("TextSparks: Unknown direction '" + direction + "'. Using none.");
+    return 'none';
+};
+
+const normalizeText = (text, message, index, fadeIn, fadeOut) => {
+    const segment = typeof text === 'string' ? { text } : text;
+    const stagger = Number(message.stagger) || 0;
+    const exitStagger = message.exitStagger !== undefined ? Number(message.exitStagger) : stagger;
+    const duration = pick(segment, message, 'duration', null);
+
+    return {
+        text : String(segment.text),
+        hsl  : {
+            h : Number(pick(segment, message, 'hue', 0)),
+            s : Number(pick(segment, message, 'saturation', 100)),
+            l : Number(pick(segment, message, 'lightness', 50))
+        },
+        font : {
+            family : pick(segment, message, 'fontFamily', null),
+            weight : pick(segment, message, 'fontWeight', null),
+            style  : pick(segment, message, 'fontStyle', null)
+        },
+        // Entrance and exit timing relative to the start of the fade in / fade out phase, in ms
+        enterDelay    : segment.delay !== undefined ? Number(segment.delay) : index * stagger,
+        enterDuration : duration !== null ? Number(duration) : fadeIn,
+        exitDelay     : index * exitStagger,
+        exitDuration  : duration !== null ? Number(duration) : fadeOut,
+        easing        : resolveEasing(pick(segment, message, 'easing', 'linear')),
+        enter         : normalizeDirection(pick(segment, message, 'enter', 'none')),
+        exit          : normalizeDirection(pick(segment, message, 'exit', 'none')),
+        travel        : Number(pick(segment, message, 'travel', DEFAULT_TRAVEL))
+    };
+};
+
+// Converts a plain message into a TextSparks stack entry, all times in ms
+export function normalizeMessage(message) {
+    const fadeIn  = Math.max(0, message.fadeIn !== undefined ? Number(message.fadeIn) : DEFAULT_FADE_MS);
+    const fadeOut = Math.max(0, message.fadeOut !== undefined ? Number(message.fadeOut) : DEFAULT_FADE_MS);
+    const texts   = (typeof message.texts === 'string' ? [message.texts] : (message.texts || []))
+        .map((text, index) => normalizeText(text, message, index, fadeIn, fadeOut));
+
+    return {
+        time      : Number(message.time) || 0,
+        fadeIn,
+        fadeOut,
+        lighting  : message.lighting || null,
+        texts,
+        // Length of the whole entrance and exit, until the last segment has finished
+        enterTime : texts.reduce((end, text) => Math.max(end, text.enterDelay + text.enterDuration), 0),
+        exitTime  : texts.reduce((end, text) => Math.max(end, text.exitDelay + text.exitDuration), 0)
+    };
+}
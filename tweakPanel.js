@@ -0,0 +1,105 @@
+import { CONFIG_SCHEMA } from './config.js';
+
+function toHexColor(value) {
+    return '#' + value.toString(16).padStart(6, '0');
+}
+
+function createInput(key, rule, config) {
+    const value = config.get(key);
+    let input;
+
+    switch (rule.type) {
+        case 'boolean':
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value;
+            input.addEventListener('change', () => config.set(key, input.checked, 'tweak panel'));
+            break;
+        case 'color':
+            input = document.createElement('input');
+            input.type = 'color';
+            input.value = toHexColor(value);
+            input.addEventListener('input', () => config.set(key, input.value, 'tweak panel'));
+            break;
+        case 'enum':
+            input = document.createElement('select');
+            rule.values.forEach((optionValue) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionValue;
+                input.appendChild(option);
+            });
+            input.value = value;
+            input.addEventListener('change', () => config.set(key, input.value, 'tweak panel'));
+            break;
+        case 'number':
+        case 'integer':
+            input = document.createElement('input');
+            input.type = 'number';
+            input.step = rule.type === 'integer' ? 1 : (rule.step || 'any');
+            if (rule.min !== undefined) input.min = rule.min;
+            if (rule.max !== undefined) input.max = rule.max;
+            input.value = value;
+            input.addEventListener('change', () => {
+                input.value = config.set(key, input.value, 'tweak panel'); // Show the clamped value
+            });
+            break;
+        default:
+            input = document.createElement('input');
+            input.type = 'text';
+            input.value = value;
+            input.addEventListener('change', () => config.set(key, input.value, 'tweak panel'));
+    }
+
+    input.dataset.configKey = key;
+    return input;
+}
+
+// On-screen panel with one input per config key. Edits go through config.set, so they are validated
+// and reach the running scene through the config's onChange listeners.
+export function createTweakPanel(config) {
+    const panel = document.createElement('div');
+    panel.id = 'tweak-panel';
+
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'tweak-panel-title';
+    title.textContent = 'Tweaks';
+    title.addEventListener('click', () => panel.classList.toggle('collapsed'));
+    panel.appendChild(title);
+
+    const body = document.createElement('div');
+    body.className = 'tweak-panel-body';
+    panel.appendChild(body);
+
+    let currentGroup = null;
+    Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+        const group = key.split('.')[0];
+        if (group !== currentGroup) {
+            const heading = document.createElement('h4');
+            heading.textContent = group;
+            body.appendChild(heading);
+            currentGroup = group;
+        }
+
+        const label = document.createElement('label');
+        label.title = rule.description || '';
+        const name = document.createElement('span');
+        name.textContent = key.slice(group.length + 1);
+        label.appendChild(name);
+        label.appendChild(createInput(key, rule, config));
+        body.appendChild(label);
+    });
+
+    // Keep inputs in sync when values change from elsewhere
+    config.onChange((key, value) => {
+        const input = body.querySelector('[data-config-key="' + key + '"]');
+        if (!input || input === document.activeElement) return;
+        if (input.type === 'checkbox') input.checked = value;
+        else if (input.type === 'color') input.value = toHexColor(value);
+        else input.value = value;
+    });
+
+    document.body.appendChild(panel);
+    return panel;
+}